@@ -343,19 +343,35 @@ class QAContentAnalyzer {
       }
     });
     
-    // Check for color contrast (basic check)
+    // Check for color contrast (WCAG 1.4.3, solid backgrounds only)
     const textElements = document.querySelectorAll('p, span, div, a, button, h1, h2, h3, h4, h5, h6, li, td, th');
     const contrastIssues = [];
     
     textElements.forEach(el => {
+      // Only elements that render text themselves
+      const hasText = [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (!hasText) return;
+      
       const style = window.getComputedStyle(el);
-      const color = style.color;
+      if (style.display === 'none' || style.visibility === 'hidden') return;
+      
       const backgroundColor = this.getBackgroundColor(el);
+      // Gradients and images are measured from screenshots by the full accessibility check
+      if (!backgroundColor) return;
+      
+      const fontSize = parseFloat(style.fontSize);
+      const fontWeight = parseInt(style.fontWeight, 10) || 400;
+      const isLargeText = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+      // WCAG AA: 3:1 for large text (18pt, or 14pt bold), 4.5:1 otherwise
+      const required = isLargeText ? 3 : 4.5;
+      const ratio = this.getContrastRatio(style.color, backgroundColor);
       
-      if (color && backgroundColor && this.hasLowContrast(color, backgroundColor)) {
+      if (ratio < required) {
         contrastIssues.push({
           element: el.tagName.toLowerCase(),
-          text: el.textContent.trim().substring(0, 30)
+          text: el.textContent.trim().substring(0, 30),
+          ratio: Math.floor(ratio * 100) / 100,
+          required: required
         });
       }
     });
@@ -366,7 +382,7 @@ class QAContentAnalyzer {
         severity: 'medium',
         count: contrastIssues.length,
         examples: contrastIssues.slice(0, 3),
-        message: `${contrastIssues.length} elements may have low color contrast`
+        message: `${contrastIssues.length} elements have text contrast below WCAG AA`
       });
       score -= Math.min(15, contrastIssues.length);
     }
@@ -378,44 +394,58 @@ class QAContentAnalyzer {
     };
   }
 
+  parseColor(color) {
+    const match = (color || '').match(/^rgba?\(([^)]+)\)$/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    return { r, g, b, a };
+  }
+
+  compositeColors(top, bottom) {
+    // Source-over blend of a translucent color onto an opaque one
+    return {
+      r: top.r * top.a + bottom.r * (1 - top.a),
+      g: top.g * top.a + bottom.g * (1 - top.a),
+      b: top.b * top.a + bottom.b * (1 - top.a),
+      a: 1
+    };
+  }
+
   getBackgroundColor(element) {
+    // Stack translucent backgrounds up to the first opaque one, over the white canvas
+    const layers = [];
     let el = element;
-    let backgroundColor = null;
     
-    while (el && el !== document.body) {
+    while (el) {
       const style = window.getComputedStyle(el);
-      const bg = style.backgroundColor;
+      if (style.backgroundImage !== 'none') return null;
       
-      if (bg && bg !== 'rgba(0, 0, 0, 0)' && bg !== 'transparent') {
-        backgroundColor = bg;
-        break;
+      const bg = this.parseColor(style.backgroundColor);
+      if (bg && bg.a > 0) {
+        layers.push(bg);
+        if (bg.a >= 1) break;
       }
       el = el.parentElement;
     }
     
-    return backgroundColor || window.getComputedStyle(document.body).backgroundColor;
+    return layers.reverse().reduce((below, layer) => this.compositeColors(layer, below), { r: 255, g: 255, b: 255, a: 1 });
   }
 
-  hasLowContrast(color1, color2) {
-    // Simple contrast check - this is a basic implementation
-    // In production, you'd want to use a proper WCAG contrast calculation
-    const getLuminance = (color) => {
-      const rgb = color.match(/\d+/g);
-      if (!rgb || rgb.length < 3) return 0;
-      
-      const [r, g, b] = rgb.map(c => {
-        const val = parseInt(c) / 255;
-        return val <= 0.03928 ? val / 12.92 : Math.pow((val + 0.055) / 1.055, 2.4);
+  getContrastRatio(color, background) {
+    const getLuminance = ({ r, g, b }) => {
+      const [lr, lg, lb] = [r, g, b].map(c => {
+        const val = c / 255;
+        return val <= 0.04045 ? val / 12.92 : Math.pow((val + 0.055) / 1.055, 2.4);
       });
-      
-      return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
     };
     
-    const l1 = getLuminance(color1);
-    const l2 = getLuminance(color2);
-    const contrast = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    const foreground = this.parseColor(color);
+    if (!foreground) return 21;
     
-    return contrast < 4.5; // WCAG AA standard for normal text
+    const l1 = getLuminance(this.compositeColors(foreground, background));
+    const l2 = getLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
   }
 
   analyzeLayout() {
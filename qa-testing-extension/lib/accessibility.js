@@ -1,11 +1,27 @@
 // Accessibility checker module (AODA/WCAG compliance)
+import { ContrastAnalyzer } from './contrast-analyzer.js';
+import { AXTreeAuditor } from './ax-tree-auditor.js';
+import { KeyboardNavigator } from './keyboard-navigator.js';
+
 export class AccessibilityChecker {
-  constructor() {
+  constructor(captureVisibleTab) {
+    // Contrast (1.4.3, 1.4.11) samples screenshots for gradient and image backgrounds
+    this.contrastAnalyzer = new ContrastAnalyzer(captureVisibleTab);
+    // The browser's own accessibility tree, checked against the DOM heuristics below
+    this.axTreeAuditor = new AXTreeAuditor();
+    // Focus order, traps and focus indicators from real key presses
+    this.keyboardNavigator = new KeyboardNavigator();
     this.wcagLevels = {
       A: 1,
       AA: 2,
       AAA: 3
     };
+    // What the DOM check deducts for the findings the tree can contradict
+    this.disputablePenalties = {
+      missing_alt_text: 5,
+      missing_label: 5,
+      empty_link: 3
+    };
   }
 
   async check(tabId) {
@@ -21,6 +37,24 @@ export class AccessibilityChecker {
             AAA: []
           };
           
+          // Same selectors the accessibility tree audit builds, so findings can be matched
+          const getSelector = element => {
+            const parts = [];
+            for (let node = element; node && parts.length < 4; node = node.parentElement) {
+              if (node.id) {
+                parts.unshift(`#${node.id}`);
+                break;
+              }
+              let part = node.localName;
+              const siblings = node.parentElement
+                ? [...node.parentElement.children].filter(child => child.localName === node.localName)
+                : [];
+              if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+              parts.unshift(part);
+            }
+            return parts.join(' > ');
+          };
+          
           // WCAG 1.1.1 - Non-text Content (Level A)
           // Check for images without alt text
           document.querySelectorAll('img').forEach(img => {
@@ -97,6 +131,7 @@ export class AccessibilityChecker {
                 element: input.tagName.toLowerCase(),
                 inputType: input.type,
                 name: input.name,
+                selector: getSelector(input),
                 message: 'Form control missing label'
               });
               wcagViolations.A.push('1.3.1');
@@ -171,87 +206,6 @@ export class AccessibilityChecker {
             score -= 3;
           }
           
-          // WCAG 1.4.3 - Contrast (Minimum) (Level AA)
-          // Check color contrast
-          const textElements = document.querySelectorAll('p, span, div, a, button, h1, h2, h3, h4, h5, h6, td, th, li');
-          const contrastIssues = [];
-          
-          const getContrastRatio = (color1, color2) => {
-            const getLuminance = (color) => {
-              const rgb = color.match(/\d+/g);
-              if (!rgb || rgb.length < 3) return 0;
-              
-              const [r, g, b] = rgb.map(c => {
-                const val = parseInt(c) / 255;
-                return val <= 0.03928 ? val / 12.92 : Math.pow((val + 0.055) / 1.055, 2.4);
-              });
-              
-              return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-            };
-            
-            const l1 = getLuminance(color1);
-            const l2 = getLuminance(color2);
-            return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
-          };
-          
-          textElements.forEach(el => {
-            const style = window.getComputedStyle(el);
-            if (style.display === 'none' || style.visibility === 'hidden') return;
-            
-            const color = style.color;
-            const fontSize = parseFloat(style.fontSize);
-            const fontWeight = style.fontWeight;
-            
-            // Find background color
-            let bgEl = el;
-            let backgroundColor = null;
-            while (bgEl && bgEl !== document.body) {
-              const bgStyle = window.getComputedStyle(bgEl);
-              const bg = bgStyle.backgroundColor;
-              if (bg && bg !== 'rgba(0, 0, 0, 0)' && bg !== 'transparent') {
-                backgroundColor = bg;
-                break;
-              }
-              bgEl = bgEl.parentElement;
-            }
-            
-            if (!backgroundColor) {
-              backgroundColor = window.getComputedStyle(document.body).backgroundColor || 'rgb(255, 255, 255)';
-            }
-            
-            if (color && backgroundColor) {
-              const ratio = getContrastRatio(color, backgroundColor);
-              const isLargeText = fontSize >= 18 || (fontSize >= 14 && fontWeight >= 700);
-              const requiredRatio = isLargeText ? 3 : 4.5; // WCAG AA standards
-              
-              if (ratio < requiredRatio) {
-                contrastIssues.push({
-                  element: el.tagName.toLowerCase(),
-                  text: el.textContent.trim().substring(0, 30),
-                  ratio: ratio.toFixed(2),
-                  required: requiredRatio,
-                  fontSize: fontSize,
-                  color: color,
-                  backgroundColor: backgroundColor
-                });
-              }
-            }
-          });
-          
-          if (contrastIssues.length > 0) {
-            issues.push({
-              type: 'low_contrast',
-              wcag: '1.4.3',
-              level: 'AA',
-              severity: 'high',
-              count: contrastIssues.length,
-              examples: contrastIssues.slice(0, 5),
-              message: `${contrastIssues.length} elements have insufficient color contrast`
-            });
-            wcagViolations.AA.push('1.4.3');
-            score -= Math.min(20, contrastIssues.length * 2);
-          }
-          
           // WCAG 2.1.1 - Keyboard (Level A)
           // Check for keyboard accessibility
           document.querySelectorAll('[onclick]').forEach(element => {
@@ -273,31 +227,6 @@ export class AccessibilityChecker {
             }
           });
           
-          // Check for proper focus indicators
-          const focusableElements = document.querySelectorAll('a, button, input, select, textarea, [tabindex]');
-          focusableElements.forEach(el => {
-            const style = window.getComputedStyle(el);
-            const focusStyle = window.getComputedStyle(el, ':focus');
-            
-            // This is a simplified check - in reality, you'd need to trigger focus
-            if (style.outline === 'none' && !el.classList.contains('focus-visible')) {
-              // Check if there's a custom focus style
-              const hasCustomFocus = el.matches(':focus-visible') || 
-                                   el.classList.toString().includes('focus');
-              
-              if (!hasCustomFocus) {
-                issues.push({
-                  type: 'missing_focus_indicator',
-                  wcag: '2.4.7',
-                  level: 'AA',
-                  severity: 'medium',
-                  element: el.tagName.toLowerCase(),
-                  message: 'Element may lack visible focus indicator'
-                });
-              }
-            }
-          });
-          
           // WCAG 2.4.1 - Bypass Blocks (Level A)
           // Check for skip links
           const firstLink = document.querySelector('a[href]');
@@ -484,8 +413,12 @@ export class AccessibilityChecker {
         }
       });
       
-      return result.result;
-      
+      const report = result.result;
+      this.mergeContrast(report, await this.contrastAnalyzer.analyze(tabId));
+      this.mergeAxTree(report, await this.axTreeAuditor.audit(tabId, report.issues));
+      this.mergeKeyboard(report, await this.keyboardNavigator.walk(tabId));
+      return this.summarize(report);
+    
     } catch (error) {
       console.error('Accessibility check error:', error);
       return {
@@ -496,6 +429,101 @@ export class AccessibilityChecker {
     }
   }
 
+  mergeContrast(report, contrast) {
+    report.contrast = {
+      checked: contrast.checked,
+      sampled: contrast.sampled,
+      unverified: contrast.unverified,
+      failures: contrast.failures,
+      error: contrast.error
+    };
+    if (contrast.issues.length === 0) return report;
+    
+    const textFailures = contrast.failures.filter(failure => failure.criterion === '1.4.3').length;
+    const nonTextFailures = contrast.failures.length - textFailures;
+    if (textFailures > 0) report.wcagViolations.AA.push('1.4.3');
+    if (nonTextFailures > 0) report.wcagViolations.AA.push('1.4.11');
+    
+    report.issues.push(...contrast.issues);
+    report.score = Math.max(0, report.score - Math.min(20, textFailures * 2) - Math.min(10, nonTextFailures * 2));
+    
+    return report;
+  }
+
+  mergeAxTree(report, axTree) {
+    report.axTree = {
+      nodes: axTree.nodes,
+      ignored: axTree.ignored,
+      comparison: axTree.comparison,
+      disputed: [],
+      error: axTree.error
+    };
+    
+    // Heuristic findings the accessibility tree contradicts are dropped, along
+    // with their penalty and any criterion no other finding still fails
+    const disputed = report.issues.filter(issue => issue.axName);
+    if (disputed.length > 0) {
+      report.issues = report.issues.filter(issue => !issue.axName);
+      report.axTree.disputed = disputed.map(issue => ({
+        type: issue.type,
+        wcag: issue.wcag,
+        axName: issue.axName,
+        message: `${issue.message} (the accessibility tree names it "${issue.axName}")`
+      }));
+      
+      const refund = disputed.reduce((total, issue) => total + (this.disputablePenalties[issue.type] || 0), 0);
+      report.score = Math.min(100, report.score + refund);
+      
+      disputed.forEach(issue => {
+        if (report.issues.some(other => other.wcag === issue.wcag)) return;
+        report.wcagViolations[issue.level] = report.wcagViolations[issue.level].filter(wcag => wcag !== issue.wcag);
+      });
+    }
+    
+    return this.addIssues(report, axTree.issues, 25);
+  }
+
+  mergeKeyboard(report, keyboard) {
+    report.keyboard = {
+      focusOrder: keyboard.order.map(entry => ({ selector: entry.selector, text: entry.text })),
+      complete: keyboard.complete,
+      modal: keyboard.modal,
+      skipLink: keyboard.skipLink,
+      error: keyboard.error
+    };
+    
+    return this.addIssues(report, keyboard.issues, 25);
+  }
+
+  addIssues(report, issues, maxPenalty) {
+    const penalties = { high: 5, medium: 2, low: 1 };
+    const penalty = issues.reduce((total, issue) => total + (penalties[issue.severity] || 0), 0);
+    issues.forEach(issue => {
+      if (!report.wcagViolations[issue.level].includes(issue.wcag)) report.wcagViolations[issue.level].push(issue.wcag);
+    });
+    
+    report.issues.push(...issues);
+    report.score = Math.max(0, report.score - Math.min(maxPenalty, penalty));
+    
+    return report;
+  }
+
+  summarize(report) {
+    if (report.wcagViolations.A.length > 0) {
+      report.complianceLevel = 'Non-compliant';
+    } else if (report.wcagViolations.AA.length > 0) {
+      report.complianceLevel = 'A';
+    }
+    report.totalIssues = report.issues.length;
+    report.summary = {
+      critical: report.issues.filter(i => i.severity === 'high').length,
+      major: report.issues.filter(i => i.severity === 'medium').length,
+      minor: report.issues.filter(i => i.severity === 'low').length
+    };
+    
+    return report;
+  }
+
   async checkAriaCompliance(tabId) {
     try {
       const [result] = await chrome.scripting.executeScript({
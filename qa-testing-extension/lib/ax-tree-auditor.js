@@ -0,0 +1,445 @@
+// Accessibility tree auditor module (what assistive technology actually gets)
+export class AXTreeAuditor {
+  constructor() {
+    this.maxFindings = 50;
+    
+    // Roles that are unusable without an accessible name
+    this.nameRequired = [
+      'button', 'link', 'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch',
+      'slider', 'spinbutton', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem',
+      'image', 'img', 'dialog', 'alertdialog', 'progressbar', 'meter'
+    ];
+    
+    // ARIA 1.2 roles that prohibit aria-label and aria-labelledby
+    this.nameProhibited = [
+      'caption', 'code', 'deletion', 'emphasis', 'generic', 'insertion', 'mark', 'paragraph',
+      'presentation', 'none', 'strong', 'subscript', 'superscript', 'suggestion', 'term', 'time'
+    ];
+    
+    // States and properties an explicit role needs to be operable
+    this.requiredAttributes = {
+      checkbox: ['aria-checked'],
+      menuitemcheckbox: ['aria-checked'],
+      menuitemradio: ['aria-checked'],
+      radio: ['aria-checked'],
+      switch: ['aria-checked'],
+      combobox: ['aria-expanded'],
+      heading: ['aria-level'],
+      scrollbar: ['aria-controls', 'aria-valuenow'],
+      slider: ['aria-valuenow']
+    };
+    
+    // Required owned elements (children) per container role
+    this.requiredChildren = {
+      feed: ['article'],
+      grid: ['row', 'rowgroup'],
+      list: ['listitem'],
+      listbox: ['option', 'group'],
+      menu: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group', 'separator'],
+      menubar: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group', 'separator'],
+      radiogroup: ['radio'],
+      row: ['cell', 'columnheader', 'gridcell', 'rowheader'],
+      rowgroup: ['row'],
+      table: ['row', 'rowgroup', 'caption'],
+      tablist: ['tab'],
+      tree: ['treeitem', 'group'],
+      treegrid: ['row', 'rowgroup']
+    };
+    
+    // Required context (parent) roles
+    this.requiredParents = {
+      cell: ['row'],
+      columnheader: ['row'],
+      gridcell: ['row'],
+      listitem: ['list', 'directory'],
+      menuitem: ['menu', 'menubar', 'group'],
+      menuitemcheckbox: ['menu', 'menubar', 'group'],
+      menuitemradio: ['menu', 'menubar', 'group'],
+      option: ['listbox', 'group'],
+      row: ['grid', 'rowgroup', 'table', 'treegrid'],
+      rowgroup: ['grid', 'table', 'treegrid'],
+      rowheader: ['row'],
+      tab: ['tablist'],
+      treeitem: ['tree', 'group']
+    };
+    
+    // Every role token a role attribute may contain (ARIA 1.2, DPUB and graphics roles aside)
+    this.validRoles = [
+      'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+      'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+      'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+      'group', 'heading', 'img', 'image', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark',
+      'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation',
+      'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+      'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+      'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+      'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+    ];
+    
+    // Widget roles that must be reachable with Tab (composite children use roving focus instead)
+    this.focusRequired = ['button', 'link', 'checkbox', 'radio', 'switch', 'slider', 'spinbutton', 'textbox', 'searchbox', 'combobox', 'tab'];
+    
+    // Nodes that do not count as a parent or child in the ownership checks
+    this.transparentRoles = ['generic', 'none', 'presentation', 'StaticText', 'InlineTextBox', 'LineBreak'];
+  }
+
+  async audit(tabId, domIssues = []) {
+    try {
+      await chrome.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      // DevTools or another check already holds the debugger
+      return { error: `Could not attach debugger: ${error.message}`, nodes: 0, issues: [] };
+    }
+    
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'DOM.enable');
+      await chrome.debugger.sendCommand({ tabId }, 'Accessibility.enable');
+      const { root } = await chrome.debugger.sendCommand({ tabId }, 'DOM.getDocument', { depth: -1, pierce: true });
+      const { nodes } = await chrome.debugger.sendCommand({ tabId }, 'Accessibility.getFullAXTree');
+      
+      const dom = this.indexDom(root);
+      const tree = this.indexTree(nodes, dom);
+      
+      const issues = [
+        ...this.checkNames(tree, root.baseURL || root.documentURL),
+        ...this.checkRoles(tree),
+        ...this.checkOwnership(tree),
+        ...this.checkHiddenFocusable(tree)
+      ];
+      const comparison = this.compareWithDom(tree, issues, domIssues, root.baseURL || root.documentURL);
+      const reported = issues.filter(issue => !issue.confirmsDomIssue);
+      reported.forEach(issue => delete issue.key);
+      
+      return {
+        nodes: nodes.length,
+        ignored: nodes.filter(node => node.ignored).length,
+        comparison: comparison,
+        issues: reported.slice(0, this.maxFindings)
+      };
+    
+    } catch (error) {
+      console.error('Accessibility tree audit error:', error);
+      return { error: error.message, nodes: 0, issues: [] };
+    } finally {
+      await chrome.debugger.detach({ tabId }).catch(() => {});
+    }
+  }
+
+  indexDom(root) {
+    // backendNodeId -> element, with enough structure to build selectors
+    const elements = new Map();
+    
+    const visit = (node, parent) => {
+      let element = parent;
+      if (node.nodeType === 1) {
+        const attributes = {};
+        for (let i = 0; i < (node.attributes || []).length; i += 2) {
+          attributes[node.attributes[i]] = node.attributes[i + 1];
+        }
+        element = { localName: node.localName, attributes, parent, children: [] };
+        if (parent) parent.children.push(element);
+        elements.set(node.backendNodeId, element);
+      }
+      
+      (node.children || []).forEach(child => visit(child, element));
+      (node.shadowRoots || []).forEach(child => visit(child, element));
+    };
+    visit(root, null);
+    
+    return elements;
+  }
+
+  indexTree(nodes, dom) {
+    const byId = new Map();
+    
+    nodes.forEach(node => {
+      const properties = {};
+      (node.properties || []).forEach(property => {
+        properties[property.name] = property.value?.value;
+      });
+      
+      byId.set(node.nodeId, {
+        id: node.nodeId,
+        parentId: node.parentId,
+        childIds: node.childIds || [],
+        ignored: !!node.ignored,
+        ignoredReasons: (node.ignoredReasons || []).map(reason => reason.name),
+        role: node.role?.value || '',
+        name: (node.name?.value || '').trim(),
+        properties: properties,
+        element: dom.get(node.backendDOMNodeId) || null
+      });
+    });
+    
+    return byId;
+  }
+
+  checkNames(tree, baseUrl) {
+    const issues = [];
+    
+    tree.forEach(node => {
+      if (node.ignored || !node.element || node.name) return;
+      if (!this.nameRequired.includes(node.role)) return;
+      
+      issues.push(this.createIssue(node, {
+        type: 'ax_missing_name',
+        wcag: node.role === 'image' || node.role === 'img' ? '1.1.1' : '4.1.2',
+        // Unnamed dialogs and progress bars are still usable, unnamed controls are not
+        severity: ['dialog', 'alertdialog', 'progressbar', 'meter'].includes(node.role) ? 'medium' : 'high',
+        key: this.getDomKey(node, baseUrl),
+        message: `${node.role} has no accessible name, so screen readers announce only its role: ${this.getSelector(node.element)}`
+      }));
+    });
+    
+    return issues;
+  }
+
+  checkRoles(tree) {
+    const issues = [];
+    
+    tree.forEach(node => {
+      if (node.ignored || !node.element) return;
+      const attributes = node.element.attributes;
+      
+      // Browsers use the first valid token and silently drop the rest
+      const declared = (attributes.role || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+      if (declared.length > 0 && !declared.some(role => this.validRoles.includes(role))) {
+        issues.push(this.createIssue(node, {
+          type: 'ax_invalid_role',
+          wcag: '4.1.2',
+          severity: 'medium',
+          message: `role="${attributes.role}" is not a valid ARIA role, so it is exposed as ${node.role}: ${this.getSelector(node.element)}`
+        }));
+      }
+      
+      const explicitRole = declared.find(role => this.validRoles.includes(role));
+      const missing = (this.requiredAttributes[explicitRole] || []).filter(name => !(name in attributes));
+      if (missing.length > 0) {
+        issues.push(this.createIssue(node, {
+          type: 'ax_missing_required_attribute',
+          wcag: '4.1.2',
+          severity: 'medium',
+          attributes: missing,
+          message: `role="${explicitRole}" requires ${missing.join(', ')}: ${this.getSelector(node.element)}`
+        }));
+      }
+      
+      // Computed state, so tabindex, disabled and contenteditable are all accounted for
+      if (explicitRole && this.focusRequired.includes(explicitRole) && !node.properties.focusable && !node.properties.disabled) {
+        issues.push(this.createIssue(node, {
+          type: 'ax_not_focusable',
+          wcag: '2.1.1',
+          severity: 'high',
+          message: `role="${explicitRole}" cannot receive keyboard focus; add tabindex="0": ${this.getSelector(node.element)}`
+        }));
+      }
+      
+      if (this.nameProhibited.includes(node.role) && ('aria-label' in attributes || 'aria-labelledby' in attributes)) {
+        issues.push(this.createIssue(node, {
+          type: 'ax_prohibited_name',
+          wcag: '4.1.2',
+          severity: 'low',
+          message: `aria-label on a ${node.role} element is ignored by most screen readers: ${this.getSelector(node.element)}`
+        }));
+      }
+    });
+    
+    return issues;
+  }
+
+  checkOwnership(tree) {
+    const issues = [];
+    
+    tree.forEach(node => {
+      if (node.ignored || !node.element?.attributes.role) return;
+      const role = node.role;
+      
+      // Only authored roles; native lists and tables are structured by the browser
+      const allowedChildren = this.requiredChildren[role];
+      if (allowedChildren) {
+        const invalid = [...new Set(this.getOwnedChildren(tree, node)
+          .map(child => child.role)
+          .filter(childRole => !allowedChildren.includes(childRole)))];
+        if (invalid.length > 0) {
+          issues.push(this.createIssue(node, {
+            type: 'ax_invalid_children',
+            wcag: '1.3.1',
+            severity: 'medium',
+            childRoles: invalid,
+            message: `${role} may only own ${allowedChildren.join(', ')} but contains ${invalid.join(', ')}: ${this.getSelector(node.element)}`
+          }));
+        }
+      }
+      
+      const allowedParents = this.requiredParents[role];
+      if (allowedParents) {
+        const parent = this.getOwningParent(tree, node);
+        if (!parent || !allowedParents.includes(parent.role)) {
+          issues.push(this.createIssue(node, {
+            type: 'ax_missing_parent',
+            wcag: '1.3.1',
+            severity: 'medium',
+            parentRole: parent?.role || null,
+            message: `${role} must be inside ${allowedParents.join(' or ')}${parent ? ` but is inside ${parent.role}` : ''}: ${this.getSelector(node.element)}`
+          }));
+        }
+      }
+    });
+    
+    return issues;
+  }
+
+  getOwnedChildren(tree, node) {
+    const children = [];
+    node.childIds.forEach(childId => {
+      const child = tree.get(childId);
+      if (!child) return;
+      if (child.ignored || this.transparentRoles.includes(child.role)) {
+        // Text directly in a container is not an owned element, only its wrappers are skipped
+        if (child.role !== 'StaticText' && child.role !== 'InlineTextBox') children.push(...this.getOwnedChildren(tree, child));
+        return;
+      }
+      children.push(child);
+    });
+    return children;
+  }
+
+  getOwningParent(tree, node) {
+    let parent = tree.get(node.parentId);
+    while (parent && (parent.ignored || this.transparentRoles.includes(parent.role))) {
+      parent = tree.get(parent.parentId);
+    }
+    return parent || null;
+  }
+
+  checkHiddenFocusable(tree) {
+    const issues = [];
+    
+    tree.forEach(node => {
+      if (!node.ignored || !node.element) return;
+      const reasons = node.ignoredReasons;
+      if (!reasons.includes('ariaHiddenElement') && !reasons.includes('ariaHiddenSubtree')) return;
+      // Unrendered and inert content cannot take focus anyway
+      if (reasons.some(reason => ['notRendered', 'notVisible', 'inertElement', 'inertSubtree'].includes(reason))) return;
+      if (!this.isFocusable(node.element)) return;
+      
+      issues.push(this.createIssue(node, {
+        type: 'ax_hidden_focusable',
+        wcag: '4.1.2',
+        severity: 'high',
+        message: `Focusable element inside aria-hidden content; keyboard users land on something screen readers cannot see: ${this.getSelector(node.element)}`
+      }));
+    });
+    
+    return issues;
+  }
+
+  isFocusable(element) {
+    const { localName, attributes } = element;
+    if ('disabled' in attributes || 'inert' in attributes) return false;
+    
+    const tabindex = parseInt(attributes.tabindex, 10);
+    if (tabindex < 0) return false;
+    if (tabindex >= 0) return true;
+    
+    if (localName === 'a' || localName === 'area') return 'href' in attributes;
+    if (localName === 'input') return attributes.type !== 'hidden';
+    if ('contenteditable' in attributes && attributes.contenteditable !== 'false') return true;
+    return ['button', 'select', 'textarea', 'iframe', 'summary'].includes(localName);
+  }
+
+  compareWithDom(tree, issues, domIssues, baseUrl) {
+    // Key DOM findings the same way as tree nodes
+    const domKeyFor = issue => {
+      if (issue.type === 'empty_link') return `link:${issue.href}`;
+      if (issue.type === 'missing_alt_text') return `image:${issue.src}`;
+      if (issue.type === 'missing_label') return issue.name ? `field:${issue.name}` : `field:${issue.selector}`;
+      return null;
+    };
+    
+    const named = new Map();
+    tree.forEach(node => {
+      if (node.ignored || !node.element || !node.name) return;
+      const key = this.getDomKey(node, baseUrl);
+      if (key) named.set(key, node.name);
+    });
+    
+    // DOM findings the browser does resolve a name for (aria-labelledby, title, nested alt...)
+    let disputed = 0;
+    domIssues.forEach(issue => {
+      const key = domKeyFor(issue);
+      if (key && named.has(key)) {
+        issue.axName = named.get(key);
+        disputed++;
+      }
+    });
+    
+    // Unnamed nodes the heuristics already flagged are reported once, as the
+    // DOM finding with the tree's evidence attached
+    const domByKey = new Map();
+    domIssues.forEach(issue => {
+      const key = domKeyFor(issue);
+      if (key) domByKey.set(key, issue);
+    });
+    const unnamed = issues.filter(issue => issue.type === 'ax_missing_name');
+    let confirmed = 0;
+    unnamed.forEach(issue => {
+      const domIssue = issue.key && domByKey.get(issue.key);
+      if (domIssue) {
+        domIssue.axRole = issue.role;
+        domIssue.axSelector = issue.selector;
+        domIssue.axConfirmed = true;
+        issue.confirmsDomIssue = true;
+        confirmed++;
+      } else {
+        issue.missedByHeuristics = true;
+      }
+    });
+    
+    return {
+      disputed: disputed,
+      confirmed: confirmed,
+      missedByHeuristics: unnamed.length - confirmed
+    };
+  }
+
+  createIssue(node, issue) {
+    return {
+      level: 'A',
+      role: node.role,
+      name: node.name || null,
+      selector: this.getSelector(node.element),
+      ...issue
+    };
+  }
+
+  getDomKey(node, baseUrl) {
+    const { localName, attributes } = node.element;
+    try {
+      if (localName === 'a' && attributes.href) return `link:${new URL(attributes.href, baseUrl).href}`;
+      if (localName === 'img' && attributes.src) return `image:${new URL(attributes.src, baseUrl).href}`;
+    } catch (e) {
+      return null;
+    }
+    // Unnamed fields are matched by the same selector the DOM check records
+    if (['input', 'select', 'textarea'].includes(localName)) {
+      return attributes.name ? `field:${attributes.name}` : `field:${this.getSelector(node.element)}`;
+    }
+    return null;
+  }
+
+  getSelector(element) {
+    const parts = [];
+    for (let node = element; node && parts.length < 4; node = node.parent) {
+      if (node.attributes.id) {
+        parts.unshift(`#${node.attributes.id}`);
+        break;
+      }
+      let part = node.localName;
+      const siblings = node.parent ? node.parent.children.filter(child => child.localName === node.localName) : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  }
+}
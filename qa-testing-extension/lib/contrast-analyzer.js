@@ -0,0 +1,482 @@
+// WCAG 2.2 contrast module (1.4.3 text and 1.4.11 non-text contrast)
+export class ContrastAnalyzer {
+  constructor(captureVisibleTab) {
+    // The orchestrator's capture keeps within Chrome's captures-per-second limit
+    this.captureVisibleTab = captureVisibleTab || ((windowId, options) => chrome.tabs.captureVisibleTab(windowId, options));
+    this.maxElements = 400;
+    this.maxControls = 100;
+    this.maxScreens = 6;
+    this.maxIssues = 50;
+    this.maxSamplesPerElement = 2000;
+    // Share of sampled background that may fall below the ratio (anti-aliasing, noise)
+    this.samplePercentile = 0.1;
+  }
+
+  async analyze(tabId) {
+    try {
+      const page = await this.collect(tabId);
+      const results = {
+        checked: page.texts.length + page.controls.length,
+        sampled: 0,
+        unverified: 0,
+        failures: [],
+        issues: []
+      };
+      
+      // Gradients, images and overlays need the rendered pixels
+      const complex = page.texts.filter(text => text.complex);
+      if (complex.length > 0) {
+        const sampled = await this.sampleBackgrounds(tabId, page, complex);
+        results.sampled = sampled;
+      }
+      
+      page.texts.forEach(text => {
+        const required = text.isLarge ? 3 : 4.5;
+        let measurement;
+        
+        if (text.complex) {
+          if (!text.samples) {
+            results.unverified++;
+            return;
+          }
+          measurement = text.samples;
+        } else {
+          const foreground = this.composite(text.color, text.background);
+          measurement = { ratio: this.getContrastRatio(foreground, text.background) };
+        }
+        
+        if (measurement.ratio < required) {
+          results.failures.push({
+            criterion: '1.4.3',
+            selector: text.selector,
+            text: text.text,
+            ratio: this.round(measurement.ratio),
+            required: required,
+            isLarge: text.isLarge,
+            fontSize: text.fontSize,
+            fontWeight: text.fontWeight,
+            foreground: this.toCss(text.color),
+            background: text.complex ? null : this.toCss(text.background),
+            backgroundType: text.complex || 'solid',
+            range: measurement.min !== undefined ? [this.round(measurement.min), this.round(measurement.max)] : undefined
+          });
+        }
+      });
+      
+      page.controls.forEach(control => {
+        const ratio = this.getControlRatio(control);
+        if (ratio < 3) {
+          results.failures.push({
+            criterion: '1.4.11',
+            selector: control.selector,
+            kind: control.kind,
+            ratio: this.round(ratio),
+            required: 3,
+            background: this.toCss(control.outer)
+          });
+        }
+      });
+      
+      results.issues = this.buildIssues(results.failures);
+      return results;
+    
+    } catch (error) {
+      console.error('Contrast analysis error:', error);
+      return {
+        error: error.message,
+        checked: 0,
+        failures: [],
+        issues: []
+      };
+    }
+  }
+
+  async collect(tabId) {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      args: [{ maxElements: this.maxElements, maxControls: this.maxControls, maxScreens: this.maxScreens }],
+      func: ({ maxElements, maxControls, maxScreens }) => {
+        const canvas = document.createElement('canvas').getContext('2d');
+        const parse = value => {
+          const match = value.match(/^rgba?\(([^)]+)\)$/);
+          if (match) {
+            const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+            return { r, g, b, a };
+          }
+          // color(), oklch() and friends: let the canvas convert them
+          canvas.clearRect(0, 0, 1, 1);
+          canvas.fillStyle = value;
+          canvas.fillRect(0, 0, 1, 1);
+          const [r, g, b, a] = canvas.getImageData(0, 0, 1, 1).data;
+          return { r, g, b, a: a / 255 };
+        };
+        const composite = (top, bottom) => {
+          const a = top.a + bottom.a * (1 - top.a);
+          if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+          const mix = channel => (top[channel] * top.a + bottom[channel] * bottom.a * (1 - top.a)) / a;
+          return { r: mix('r'), g: mix('g'), b: mix('b'), a };
+        };
+        const white = { r: 255, g: 255, b: 255, a: 1 };
+        
+        // Stack translucent ancestor backgrounds until an opaque one
+        const resolveBackground = node => {
+          const layers = [];
+          while (node && node.nodeType === 1) {
+            const style = window.getComputedStyle(node);
+            if (style.backgroundImage !== 'none') {
+              return { complex: style.backgroundImage.includes('gradient') ? 'gradient' : 'image' };
+            }
+            const color = parse(style.backgroundColor);
+            if (color.a > 0) {
+              layers.push(color);
+              if (color.a >= 1) break;
+            }
+            node = node.parentElement;
+          }
+          return { color: layers.reverse().reduce((below, layer) => composite(layer, below), white) };
+        };
+        
+        // Opacity fades the whole subtree toward whatever is behind it
+        const applyOpacity = (el, color, background) => {
+          let opacity = 1;
+          let outermost = null;
+          for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            const value = parseFloat(window.getComputedStyle(node).opacity);
+            if (value < 1) {
+              opacity *= value;
+              outermost = node;
+            }
+          }
+          if (!outermost) return { color, background, opacity };
+          
+          const backdrop = resolveBackground(outermost.parentElement).color || white;
+          return {
+            color: composite({ ...composite(color, background), a: opacity }, backdrop),
+            background: composite({ ...background, a: opacity }, backdrop),
+            opacity
+          };
+        };
+        
+        const getSelector = el => {
+          const parts = [];
+          for (let node = el; node && node.nodeType === 1 && parts.length < 4; node = node.parentElement) {
+            if (node.id) {
+              parts.unshift(`#${CSS.escape(node.id)}`);
+              break;
+            }
+            let part = node.localName;
+            const siblings = node.parentElement
+              ? [...node.parentElement.children].filter(child => child.localName === node.localName)
+              : [];
+            if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            parts.unshift(part);
+          }
+          return parts.join(' > ');
+        };
+        
+        const isVisible = (el, style) => {
+          const rect = el.getBoundingClientRect();
+          // Visually hidden (screen reader only) text is exempt
+          return rect.width > 1 && rect.height > 1 &&
+            style.visibility !== 'hidden' && style.display !== 'none' &&
+            parseFloat(style.fontSize) > 0 &&
+            !(style.position === 'absolute' && style.clip.startsWith('rect(0'));
+        };
+        const isFixed = el => {
+          for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            if (window.getComputedStyle(node).position === 'fixed') return true;
+          }
+          return false;
+        };
+        
+        const originalScroll = window.scrollY;
+        window.scrollTo(0, 0);
+        
+        // Elements that directly contain text
+        const elements = new Set();
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+          acceptNode: node => node.textContent.trim() &&
+            !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(node.parentElement?.tagName)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT
+        });
+        while (walker.nextNode() && elements.size < maxElements) {
+          elements.add(walker.currentNode.parentElement);
+        }
+        
+        const texts = [];
+        elements.forEach(el => {
+          const style = window.getComputedStyle(el);
+          if (!isVisible(el, style)) return;
+          // Inactive controls are exempt from 1.4.3
+          if (el.closest(':disabled, [aria-disabled="true"]')) return;
+          
+          const fontSize = parseFloat(style.fontSize);
+          const fontWeight = parseInt(style.fontWeight, 10) || 400;
+          const resolved = resolveBackground(el);
+          const rect = el.getBoundingClientRect();
+          const fixed = isFixed(el);
+          const entry = {
+            el: el,
+            selector: getSelector(el),
+            text: el.textContent.trim().replace(/\s+/g, ' ').substring(0, 40),
+            color: parse(style.color),
+            fontSize: Math.round(fontSize * 10) / 10,
+            fontWeight: fontWeight,
+            // 18pt, or 14pt bold (1pt = 4/3 px)
+            isLarge: fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700),
+            complex: resolved.complex || null,
+            fixed: fixed,
+            rect: { x: rect.left, y: rect.top + (fixed ? 0 : window.scrollY), width: rect.width, height: rect.height }
+          };
+          
+          if (!entry.complex) {
+            const faded = applyOpacity(el, entry.color, resolved.color);
+            if (faded.opacity === 0) return;
+            entry.color = faded.color;
+            entry.background = faded.background;
+          }
+          texts.push(entry);
+        });
+        
+        // Text over images or other elements (not ancestors) needs pixel sampling
+        const screenHeight = window.innerHeight;
+        for (let screen = 0; screen < maxScreens; screen++) {
+          const onScreen = texts.filter(text => !text.complex &&
+            Math.floor(text.rect.y / screenHeight) === screen && (!text.fixed || screen === 0));
+          if (onScreen.length === 0) continue;
+          
+          window.scrollTo(0, screen * screenHeight);
+          onScreen.forEach(text => {
+            const rect = text.el.getBoundingClientRect();
+            const x = Math.min(window.innerWidth - 1, Math.max(0, rect.left + rect.width / 2));
+            const y = Math.min(window.innerHeight - 1, Math.max(0, rect.top + rect.height / 2));
+            const stack = document.elementsFromPoint(x, y);
+            const index = stack.indexOf(text.el);
+            if (index === -1) return;
+            
+            for (const below of stack.slice(index + 1)) {
+              const belowStyle = window.getComputedStyle(below);
+              const isAncestor = below.contains(text.el);
+              if (!isAncestor && ['img', 'video', 'canvas', 'svg', 'picture', 'iframe'].includes(below.localName)) {
+                text.complex = 'overlay';
+                break;
+              }
+              if (!isAncestor && (belowStyle.backgroundImage !== 'none' || parse(belowStyle.backgroundColor).a > 0)) {
+                text.complex = 'overlay';
+                break;
+              }
+              if (isAncestor && (belowStyle.backgroundImage !== 'none' || parse(belowStyle.backgroundColor).a >= 1)) break;
+            }
+          });
+        }
+        
+        // Mark the elements whose backgrounds will be read from a screenshot
+        texts.forEach((text, index) => {
+          text.id = index;
+          if (text.complex) text.el.setAttribute('data-qa-contrast', index);
+        });
+        
+        // 1.4.11: form fields and icon-only controls against their surroundings
+        const controls = [];
+        const fieldSelector = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+        [...document.querySelectorAll(fieldSelector)].slice(0, maxControls).forEach(el => {
+          const style = window.getComputedStyle(el);
+          if (!isVisible(el, style) || el.disabled) return;
+          // Native checkboxes and radios are drawn by the browser, which the criterion exempts
+          if (['checkbox', 'radio', 'range', 'color', 'file'].includes(el.type) && style.appearance !== 'none') return;
+          
+          const outer = resolveBackground(el.parentElement);
+          const own = resolveBackground(el);
+          if (outer.complex || own.complex) return;
+          
+          const borders = ['Top', 'Right', 'Bottom', 'Left']
+            .filter(side => parseFloat(style[`border${side}Width`]) >= 1 && !['none', 'hidden'].includes(style[`border${side}Style`]))
+            .map(side => parse(style[`border${side}Color`]));
+          controls.push({ kind: 'field', selector: getSelector(el), borders, fill: own.color, outer: outer.color });
+        });
+        
+        [...document.querySelectorAll('a, button, [role="button"]')]
+          .filter(el => el.querySelector('svg') && !el.textContent.trim())
+          .slice(0, maxControls)
+          .forEach(el => {
+            const svg = el.querySelector('svg');
+            const style = window.getComputedStyle(svg);
+            if (!isVisible(svg, style)) return;
+            
+            const outer = resolveBackground(el);
+            if (outer.complex) return;
+            const paint = style.fill !== 'none' ? style.fill : style.stroke;
+            if (!paint || paint === 'none' || paint.startsWith('url(')) return;
+            
+            controls.push({ kind: 'icon', selector: getSelector(el), borders: [parse(paint)], fill: null, outer: outer.color });
+          });
+        
+        window.scrollTo(0, originalScroll);
+        
+        return {
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+          texts: texts.map(({ el, ...text }) => text),
+          controls: controls
+        };
+      }
+    });
+    
+    return result.result;
+  }
+
+  async sampleBackgrounds(tabId, page, complex) {
+    const { windowId } = await chrome.tabs.get(tabId);
+    const screens = new Map();
+    complex.forEach(text => {
+      const screen = text.fixed ? 0 : Math.floor(text.rect.y / page.viewport.height);
+      if (screen >= this.maxScreens) return;
+      if (!screens.has(screen)) screens.set(screen, []);
+      screens.get(screen).push(text);
+    });
+    
+    let sampled = 0;
+    try {
+      for (const [screen, texts] of screens) {
+        // Hide the text itself so only its background is captured
+        const [scrolled] = await chrome.scripting.executeScript({
+          target: { tabId },
+          args: [screen * page.viewport.height],
+          func: async (top) => {
+            if (!document.getElementById('qa-contrast-style')) {
+              const style = document.createElement('style');
+              style.id = 'qa-contrast-style';
+              style.textContent = '[data-qa-contrast], [data-qa-contrast] * { color: transparent !important; ' +
+                '-webkit-text-fill-color: transparent !important; text-shadow: none !important; ' +
+                'text-decoration-color: transparent !important; caret-color: transparent !important; }';
+              document.head.appendChild(style);
+            }
+            window.scrollTo(0, top);
+            await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+            return window.scrollY;
+          }
+        });
+        
+        const dataUrl = await this.captureVisibleTab(windowId, { format: 'png' });
+        const image = await createImageBitmap(await (await fetch(dataUrl)).blob());
+        const canvas = new OffscreenCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0);
+        const scale = image.width / page.viewport.width;
+        
+        texts.forEach(text => {
+          const top = text.fixed ? text.rect.y : text.rect.y - scrolled.result;
+          const x = Math.max(0, Math.floor(text.rect.x * scale));
+          const y = Math.max(0, Math.floor(top * scale));
+          const width = Math.min(image.width - x, Math.ceil(text.rect.width * scale));
+          const height = Math.min(image.height - y, Math.ceil(text.rect.height * scale));
+          if (width <= 0 || height <= 0) return;
+          
+          text.samples = this.measurePixels(ctx.getImageData(x, y, width, height).data, text.color);
+          sampled++;
+        });
+      }
+    } finally {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => {
+          document.getElementById('qa-contrast-style')?.remove();
+          document.querySelectorAll('[data-qa-contrast]').forEach(el => el.removeAttribute('data-qa-contrast'));
+          window.scrollTo(0, 0);
+        }
+      }).catch(() => {});
+    }
+    
+    return sampled;
+  }
+
+  measurePixels(pixels, textColor) {
+    const count = pixels.length / 4;
+    const step = Math.max(1, Math.floor(count / this.maxSamplesPerElement));
+    const ratios = [];
+    
+    for (let i = 0; i < count; i += step) {
+      const background = { r: pixels[i * 4], g: pixels[i * 4 + 1], b: pixels[i * 4 + 2], a: 1 };
+      ratios.push(this.getContrastRatio(this.composite(textColor, background), background));
+    }
+    ratios.sort((a, b) => a - b);
+    
+    return {
+      ratio: ratios[Math.floor(ratios.length * this.samplePercentile)],
+      min: ratios[0],
+      max: ratios[ratios.length - 1]
+    };
+  }
+
+  getControlRatio(control) {
+    // Identifiable if either the border or the fill stands out from the surroundings
+    const candidates = control.borders.map(border => this.composite(border, control.outer));
+    if (control.fill) candidates.push(control.fill);
+    return Math.max(0, ...candidates.map(color => this.getContrastRatio(color, control.outer)));
+  }
+
+  buildIssues(failures) {
+    const issues = failures.slice(0, this.maxIssues).map(failure => {
+      const isText = failure.criterion === '1.4.3';
+      return {
+        type: isText ? 'low_contrast' : 'low_non_text_contrast',
+        wcag: failure.criterion,
+        level: 'AA',
+        // Well below the threshold is unreadable for many, not just borderline
+        severity: failure.ratio < failure.required * 0.67 ? 'high' : 'medium',
+        selector: failure.selector,
+        ratio: failure.ratio,
+        required: failure.required,
+        message: isText
+          ? `Text contrast ${failure.ratio}:1 is below ${failure.required}:1 at ${failure.selector} ("${failure.text}")`
+          : `${failure.kind === 'icon' ? 'Icon' : 'Form field boundary'} contrast ${failure.ratio}:1 is below 3:1 at ${failure.selector}`
+      };
+    });
+    
+    if (failures.length > this.maxIssues) {
+      issues.push({
+        type: 'low_contrast',
+        wcag: '1.4.3',
+        level: 'AA',
+        severity: 'medium',
+        count: failures.length - this.maxIssues,
+        message: `${failures.length - this.maxIssues} more contrast failures not listed`
+      });
+    }
+    
+    return issues;
+  }
+
+  composite(top, bottom) {
+    const a = top.a + bottom.a * (1 - top.a);
+    if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    const mix = channel => (top[channel] * top.a + bottom[channel] * bottom.a * (1 - top.a)) / a;
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a };
+  }
+
+  getLuminance(color) {
+    // WCAG 2.2 relative luminance of an sRGB color
+    const [r, g, b] = [color.r, color.g, color.b].map(channel => {
+      const value = channel / 255;
+      return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  getContrastRatio(foreground, background) {
+    const l1 = this.getLuminance(foreground);
+    const l2 = this.getLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  toCss(color) {
+    if (!color) return null;
+    const [r, g, b] = [color.r, color.g, color.b].map(Math.round);
+    return color.a < 1 ? `rgba(${r}, ${g}, ${b}, ${Math.round(color.a * 100) / 100})` : `rgb(${r}, ${g}, ${b})`;
+  }
+
+  round(ratio) {
+    // Round down so 4.49 never displays as a passing 4.5
+    return Math.floor(ratio * 100) / 100;
+  }
+}
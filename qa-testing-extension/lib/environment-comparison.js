@@ -0,0 +1,252 @@
+// Staging vs production comparison module
+export class EnvironmentComparison {
+  constructor(staging, production) {
+    this.bases = {
+      staging: this.normalizeBase(staging),
+      production: this.normalizeBase(production)
+    };
+    this.screenshotWidth = 320;
+    this.pixelThreshold = 48;
+  }
+
+  normalizeBase(base) {
+    const url = new URL(base);
+    url.hash = '';
+    url.search = '';
+    return url.href.endsWith('/') ? url.href : `${url.href}/`;
+  }
+
+  getPath(url) {
+    for (const [environment, base] of Object.entries(this.bases)) {
+      if (url.startsWith(base) || `${url}/` === base) {
+        return { environment, path: `/${url.substring(base.length)}` };
+      }
+    }
+    return null;
+  }
+
+  neutralize(value) {
+    // Environment hosts differ by design, so compare with both replaced
+    let text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+    Object.values(this.bases).forEach(base => {
+      text = text.split(base).join('{base}/').split(base.slice(0, -1)).join('{base}');
+    });
+    return text;
+  }
+
+  async compare(results) {
+    const pairs = new Map();
+    (results.urls || []).forEach(urlResult => {
+      const match = this.getPath(urlResult.url);
+      if (!match) return;
+      
+      if (!pairs.has(match.path)) pairs.set(match.path, {});
+      pairs.get(match.path)[match.environment] = urlResult;
+    });
+    
+    const pages = [];
+    for (const [path, pair] of pairs) {
+      pages.push(await this.comparePage(path, pair, results.screenshots || []));
+    }
+    
+    return {
+      staging: this.bases.staging,
+      production: this.bases.production,
+      pages: pages,
+      summary: {
+        pages: pages.length,
+        identical: pages.filter(page => page.identical).length,
+        different: pages.filter(page => page.differences.length > 0).length,
+        notVerified: pages.filter(page => page.differences.length === 0 && page.unverified.length > 0).length
+      }
+    };
+  }
+
+  async comparePage(path, pair, screenshots) {
+    const { staging, production } = pair;
+    const page = {
+      path: path,
+      stagingUrl: staging?.url || null,
+      productionUrl: production?.url || null,
+      differences: [],
+      unverified: [],
+      fields: {}
+    };
+    
+    if (!staging || !production) {
+      page.differences.push(`Only tested on ${staging ? 'staging' : 'production'}`);
+      page.identical = false;
+      return page;
+    }
+    
+    const a = staging.seoData || {};
+    const b = production.seoData || {};
+    
+    page.fields.title = this.compareValue(a.title, b.title);
+    page.fields.metaDescription = this.compareValue(a.metaTags?.description, b.metaTags?.description);
+    page.fields.canonical = this.compareValue(a.canonical, b.canonical);
+    page.fields.headings = this.compareSets(
+      (a.headers || []).map(h => `${h.tag}: ${h.text}`),
+      (b.headers || []).map(h => `${h.tag}: ${h.text}`)
+    );
+    page.fields.links = this.compareSets(
+      [...(a.links?.internal || []), ...(a.links?.external || [])].map(link => link.href),
+      [...(b.links?.internal || []), ...(b.links?.external || [])].map(link => link.href)
+    );
+    page.fields.structuredData = this.compareValue(a.structuredData || [], b.structuredData || []);
+    page.fields.structuredData.types = {
+      staging: this.getSchemaTypes(a.structuredData),
+      production: this.getSchemaTypes(b.structuredData)
+    };
+    page.fields.issues = this.compareIssueCounts(staging.issues || [], production.issues || []);
+    page.fields.screenshot = await this.compareScreenshots(
+      screenshots.filter(s => s.url === staging.url),
+      screenshots.filter(s => s.url === production.url)
+    );
+    
+    const labels = {
+      title: 'Title',
+      metaDescription: 'Meta description',
+      canonical: 'Canonical URL',
+      headings: 'Headings',
+      links: 'Links',
+      structuredData: 'Structured data',
+      issues: 'Issue counts',
+      screenshot: 'Screenshot'
+    };
+    // A field that could not be compared is neither the same nor different
+    Object.entries(page.fields).forEach(([key, field]) => {
+      if (field.same === null) {
+        page.unverified.push(labels[key]);
+      } else if (!field.same) {
+        page.differences.push(labels[key]);
+      }
+    });
+    page.identical = page.differences.length === 0 && page.unverified.length === 0;
+    
+    return page;
+  }
+
+  compareValue(staging, production) {
+    return {
+      staging: staging ?? null,
+      production: production ?? null,
+      same: this.neutralize(staging) === this.neutralize(production)
+    };
+  }
+
+  compareSets(staging, production) {
+    const stagingSet = new Set(staging.map(item => this.neutralize(item)));
+    const productionSet = new Set(production.map(item => this.neutralize(item)));
+    const onlyStaging = [...stagingSet].filter(item => !productionSet.has(item));
+    const onlyProduction = [...productionSet].filter(item => !stagingSet.has(item));
+    
+    return {
+      stagingCount: staging.length,
+      productionCount: production.length,
+      onlyStaging: onlyStaging,
+      onlyProduction: onlyProduction,
+      same: onlyStaging.length === 0 && onlyProduction.length === 0
+    };
+  }
+
+  getSchemaTypes(structuredData = []) {
+    const types = [];
+    const collect = item => {
+      if (Array.isArray(item)) return item.forEach(collect);
+      if (!item || typeof item !== 'object') return;
+      if (item['@type']) types.push(...[].concat(item['@type']));
+      if (item['@graph']) collect(item['@graph']);
+    };
+    collect(structuredData);
+    return types;
+  }
+
+  compareIssueCounts(staging, production) {
+    const count = issues => issues.reduce((counts, issue) => {
+      counts[issue.type] = (counts[issue.type] || 0) + 1;
+      return counts;
+    }, {});
+    const stagingCounts = count(staging);
+    const productionCounts = count(production);
+    const types = new Set([...Object.keys(stagingCounts), ...Object.keys(productionCounts)]);
+    const changed = [...types]
+      .filter(type => stagingCounts[type] !== productionCounts[type])
+      .map(type => ({ type, staging: stagingCounts[type] || 0, production: productionCounts[type] || 0 }));
+    
+    return {
+      staging: staging.length,
+      production: production.length,
+      changed: changed,
+      same: changed.length === 0
+    };
+  }
+
+  async compareScreenshots(stagingShots, productionShots) {
+    // Compare the same capture type on both sides, preferring desktop
+    const types = ['desktop', 'mobile'];
+    const type = types.find(t =>
+      stagingShots.some(s => (s.type || 'desktop') === t) && productionShots.some(s => (s.type || 'desktop') === t)
+    );
+    const pick = shots => shots.find(s => (s.type || 'desktop') === type);
+    const a = type && pick(stagingShots);
+    const b = type && pick(productionShots);
+    
+    if (!a || !b || !(a.fullPageDataUrl || a.data) || !(b.fullPageDataUrl || b.data)) {
+      // Nothing to compare (e.g. screenshots disabled or dropped on resume)
+      return { compared: false, reason: 'No screenshot of the same type on both environments', same: null };
+    }
+    
+    try {
+      const diff = await this.diffImages(a.fullPageDataUrl || a.data, b.fullPageDataUrl || b.data);
+      return {
+        compared: true,
+        type: type,
+        ...diff,
+        // Under half a percent is rendering noise (fonts, carousels)
+        same: diff.mismatch < 0.005
+      };
+    } catch (error) {
+      console.error('Screenshot comparison error:', error);
+      return { compared: false, reason: `Screenshots could not be decoded: ${error.message}`, same: null };
+    }
+  }
+
+  async diffImages(stagingDataUrl, productionDataUrl) {
+    const load = async dataUrl => createImageBitmap(await (await fetch(dataUrl)).blob());
+    const [imageA, imageB] = await Promise.all([load(stagingDataUrl), load(productionDataUrl)]);
+    
+    // Compare scaled-down copies; full-page captures can be very tall
+    const width = this.screenshotWidth;
+    const heightA = Math.round(imageA.height * width / imageA.width);
+    const heightB = Math.round(imageB.height * width / imageB.width);
+    const height = Math.min(heightA, heightB);
+    
+    const readPixels = (image, scaledHeight) => {
+      const canvas = new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, width, scaledHeight);
+      return ctx.getImageData(0, 0, width, height).data;
+    };
+    const pixelsA = readPixels(imageA, heightA);
+    const pixelsB = readPixels(imageB, heightB);
+    
+    let differentPixels = 0;
+    for (let i = 0; i < pixelsA.length; i += 4) {
+      const delta = Math.abs(pixelsA[i] - pixelsB[i]) +
+        Math.abs(pixelsA[i + 1] - pixelsB[i + 1]) +
+        Math.abs(pixelsA[i + 2] - pixelsB[i + 2]);
+      if (delta > this.pixelThreshold) differentPixels++;
+    }
+    
+    // Extra length on one side counts as different too
+    const totalPixels = width * Math.max(heightA, heightB);
+    const extraPixels = width * Math.abs(heightA - heightB);
+    
+    return {
+      stagingSize: { width: imageA.width, height: imageA.height },
+      productionSize: { width: imageB.width, height: imageB.height },
+      mismatch: Math.round((differentPixels + extraPixels) / totalPixels * 10000) / 10000
+    };
+  }
+}
@@ -0,0 +1,512 @@
+// Keyboard navigation module (real Tab presses through the page)
+export class KeyboardNavigator {
+  constructor() {
+    this.maxSteps = 200;
+    // Tab presses that may stay on one iframe while focus moves inside it
+    this.maxFrameSteps = 50;
+    this.maxRingChecks = 40;
+    this.maxReverseSteps = 20;
+    this.maxFindings = 30;
+    this.keyDelay = 60;
+    // Time for focus transitions before a screenshot
+    this.paintDelay = 150;
+    // Changed pixels needed to count as a visible focus indicator
+    this.minRingPixels = 20;
+  }
+
+  async walk(tabId) {
+    try {
+      await chrome.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      // DevTools or another check already holds the debugger
+      return { error: `Could not attach debugger: ${error.message}`, order: [], issues: [] };
+    }
+    
+    try {
+      // Background tabs otherwise never see focus move
+      await chrome.debugger.sendCommand({ tabId }, 'Emulation.setFocusEmulationEnabled', { enabled: true }).catch(() => {});
+      await this.resetFocus(tabId);
+      
+      const forward = await this.walkForward(tabId);
+      const results = {
+        order: forward.order,
+        complete: forward.complete,
+        trap: forward.trap,
+        modal: forward.modal || null,
+        issues: []
+      };
+      
+      if (forward.trap) {
+        results.issues.push(this.createTrapIssue(forward.trap, forward.order));
+      } else if (!forward.modal && forward.order.length > 1) {
+        const reverse = await this.walkReverse(tabId, forward.order);
+        results.reverseMismatch = reverse;
+        if (reverse) results.issues.push(reverse);
+      }
+      
+      results.skipLink = await this.checkSkipLink(tabId, forward.order);
+      if (results.skipLink && !results.skipLink.works) {
+        results.issues.push({
+          type: 'skip_link_broken',
+          wcag: '2.4.1',
+          level: 'A',
+          severity: 'high',
+          selector: results.skipLink.selector,
+          message: `Skip link ${results.skipLink.selector} does not move focus to ${results.skipLink.target}: ${results.skipLink.reason}`
+        });
+      }
+      
+      results.issues.push(...this.auditVisibility(forward.order));
+      results.issues.push(...this.auditOrder(forward.order));
+      results.issues = results.issues.slice(0, this.maxFindings);
+      
+      return results;
+    
+    } catch (error) {
+      console.error('Keyboard navigation error:', error);
+      return { error: error.message, order: [], issues: [] };
+    } finally {
+      await this.cleanup(tabId);
+      await chrome.debugger.detach({ tabId }).catch(() => {});
+    }
+  }
+
+  async walkForward(tabId) {
+    const order = [];
+    const seen = new Map();
+    let frameSteps = 0;
+    let ringChecks = 0;
+    
+    for (let step = 0; step < this.maxSteps; step++) {
+      await this.pressKey(tabId, 'Tab');
+      const focused = await this.describeFocus(tabId);
+      
+      // Focus left the document, or wrapped back to the start
+      if (!focused || (order.length > 0 && focused.id === order[0].id)) {
+        return { order, complete: true, trap: null };
+      }
+      
+      const previous = order[order.length - 1];
+      if (previous && focused.id === previous.id) {
+        if (focused.tag === 'iframe' && ++frameSteps < this.maxFrameSteps) continue;
+        return this.checkLoop(tabId, order, focused, [previous]);
+      }
+      frameSteps = 0;
+      
+      if (seen.has(focused.id)) {
+        return this.checkLoop(tabId, order, focused, order.slice(seen.get(focused.id)));
+      }
+      
+      if (ringChecks < this.maxRingChecks && !focused.hidden && !focused.offscreen && focused.tag !== 'iframe') {
+        focused.focusRing = await this.measureFocusRing(tabId, focused);
+        ringChecks++;
+      }
+      
+      seen.set(focused.id, order.length);
+      order.push(focused);
+    }
+    
+    return { order, complete: false, trap: null };
+  }
+
+  async walkReverse(tabId, order) {
+    // Shift+Tab from the last element should retrace the same path
+    const last = order[order.length - 1];
+    await this.focusById(tabId, last.id);
+    
+    const expected = order.slice(0, -1).reverse().slice(0, this.maxReverseSteps);
+    for (const entry of expected) {
+      await this.pressKey(tabId, 'Tab', 8);
+      const focused = await this.describeFocus(tabId);
+      if (focused?.id === entry.id) continue;
+      if (focused?.tag === 'iframe' || entry.tag === 'iframe') return null;
+      
+      return {
+        type: 'reverse_focus_mismatch',
+        wcag: '2.4.3',
+        level: 'A',
+        severity: 'medium',
+        selector: entry.selector,
+        actual: focused?.selector || null,
+        message: `Shift+Tab does not retrace the Tab order: expected ${entry.selector}, focus went to ${focused?.selector || 'the browser'}`
+      };
+    }
+    
+    return null;
+  }
+
+  async checkLoop(tabId, order, focused, entries) {
+    const loop = entries.map(entry => entry.id);
+    
+    // Open modal dialogs keep focus inside them by design
+    const dialog = entries.every(entry => entry.modal);
+    
+    // Escape is the standard way out of a widget that holds on to focus
+    await this.pressKey(tabId, 'Escape');
+    const afterEscape = await this.describeFocus(tabId);
+    const closedWithEscape = !afterEscape || !loop.includes(afterEscape.id);
+    
+    if (dialog || closedWithEscape) {
+      return {
+        order,
+        complete: false,
+        trap: null,
+        modal: { selector: focused.selector, loop: entries.map(entry => entry.selector), dialog, closedWithEscape }
+      };
+    }
+    
+    return { order, complete: false, trap: { ...focused, loop, escapable: await this.canEscapeBackwards(tabId, loop) } };
+  }
+
+  async canEscapeBackwards(tabId, loop) {
+    for (let step = 0; step <= loop.length; step++) {
+      await this.pressKey(tabId, 'Tab', 8);
+      const focused = await this.describeFocus(tabId);
+      if (!focused || !loop.includes(focused.id)) return true;
+    }
+    return false;
+  }
+
+  createTrapIssue(trap, order) {
+    const members = trap.loop.map(id => order.find(entry => entry.id === id)?.selector || trap.selector);
+    return {
+      type: 'keyboard_trap',
+      wcag: '2.1.2',
+      level: 'A',
+      // Escaping with Shift+Tab still leaves most of the page unreachable forwards
+      severity: trap.escapable ? 'medium' : 'high',
+      selector: trap.selector,
+      loop: members,
+      message: trap.loop.length === 1
+        ? `Tab does not move focus away from ${trap.selector}${trap.escapable ? '' : ', and Shift+Tab does not either'}`
+        : `Focus cycles between ${members.length} elements starting at ${trap.selector} and never reaches the rest of the page`
+    };
+  }
+
+  async checkSkipLink(tabId, order) {
+    // Skip links come first in the tab order and point at an element on the
+    // page; hash routes such as #/home or #!/ only look like one
+    const candidates = order.slice(0, 3).filter(entry => entry.tag === 'a' && /^#./.test(entry.href || ''));
+    if (candidates.length === 0) return null;
+    
+    const [resolved] = await chrome.scripting.executeScript({
+      target: { tabId },
+      args: [candidates.map(entry => entry.href.substring(1))],
+      func: (hashes) => hashes.findIndex(hash => {
+        let id = hash;
+        try {
+          id = decodeURIComponent(hash);
+        } catch (e) {
+          // Use the raw fragment
+        }
+        return !!(document.getElementById(id) || document.getElementsByName(id)[0]);
+      })
+    });
+    const link = candidates[resolved.result];
+    if (!link) return null;
+    
+    const { url } = await chrome.tabs.get(tabId);
+    await this.focusById(tabId, link.id);
+    await this.pressKey(tabId, 'Enter');
+    await this.pressKey(tabId, 'Tab');
+    
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      args: [link.href.substring(1), url],
+      func: (hash, originalUrl) => {
+        // Following the link changed the fragment; later checks expect the tested URL
+        history.replaceState(history.state, '', originalUrl);
+        
+        let id = hash;
+        try {
+          id = decodeURIComponent(hash);
+        } catch (e) {
+          // Use the raw fragment
+        }
+        const target = document.getElementById(id) || document.getElementsByName(id)[0];
+        if (!target) return { works: false, reason: 'the target does not exist' };
+        
+        const active = document.activeElement;
+        const moved = active && active !== document.body &&
+          (target.contains(active) || !!(target.compareDocumentPosition(active) & Node.DOCUMENT_POSITION_FOLLOWING));
+        return moved
+          ? { works: true }
+          : { works: false, reason: 'the next Tab press does not continue from the target' };
+      }
+    });
+    
+    return { selector: link.selector, target: link.href, ...result.result };
+  }
+
+  async measureFocusRing(tabId, focused) {
+    // Compare the element focused (real Tab, so :focus-visible applies) and blurred
+    const pad = 6;
+    const clip = {
+      x: Math.max(0, focused.docRect.x - pad),
+      y: Math.max(0, focused.docRect.y - pad),
+      width: Math.max(1, focused.docRect.width + pad * 2),
+      height: Math.max(1, focused.docRect.height + pad * 2),
+      scale: 1
+    };
+    
+    await new Promise(resolve => setTimeout(resolve, this.paintDelay));
+    const withFocus = await this.captureClip(tabId, clip);
+    
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => document.activeElement?.blur()
+    });
+    await new Promise(resolve => setTimeout(resolve, this.paintDelay));
+    const withoutFocus = await this.captureClip(tabId, clip);
+    
+    // Back on the element so the next Tab continues from here
+    await this.focusById(tabId, focused.id);
+    
+    const changedPixels = await this.countChangedPixels(withFocus, withoutFocus);
+    return { changedPixels, visible: changedPixels >= this.minRingPixels };
+  }
+
+  async captureClip(tabId, clip) {
+    const { data } = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', { format: 'png', clip });
+    return data;
+  }
+
+  async countChangedPixels(first, second) {
+    const decode = async (base64) => {
+      const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+      const image = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+      const canvas = new OffscreenCanvas(image.width, image.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+      return ctx.getImageData(0, 0, image.width, image.height);
+    };
+    
+    const [a, b] = await Promise.all([decode(first), decode(second)]);
+    if (a.width !== b.width || a.height !== b.height) return a.width * a.height;
+    
+    let changed = 0;
+    for (let i = 0; i < a.data.length; i += 4) {
+      const difference = Math.abs(a.data[i] - b.data[i]) + Math.abs(a.data[i + 1] - b.data[i + 1]) + Math.abs(a.data[i + 2] - b.data[i + 2]);
+      if (difference > 48) changed++;
+    }
+    return changed;
+  }
+
+  auditVisibility(order) {
+    const issues = [];
+    
+    order.forEach(entry => {
+      if (entry.hidden) {
+        issues.push({
+          type: 'focus_on_hidden_element',
+          wcag: '2.4.7',
+          level: 'AA',
+          severity: 'high',
+          selector: entry.selector,
+          message: `Keyboard focus lands on ${entry.selector}, which is not visible (${entry.hidden})`
+        });
+      } else if (entry.offscreen) {
+        issues.push({
+          type: 'focus_off_screen',
+          wcag: '2.4.11',
+          level: 'AA',
+          severity: 'medium',
+          selector: entry.selector,
+          message: `Focused element ${entry.selector} stays outside the viewport`
+        });
+      } else if (entry.obscuredBy) {
+        issues.push({
+          type: 'focus_obscured',
+          wcag: '2.4.11',
+          level: 'AA',
+          severity: 'medium',
+          selector: entry.selector,
+          obscuredBy: entry.obscuredBy,
+          message: `Focused element ${entry.selector} is covered by ${entry.obscuredBy}`
+        });
+      } else if (entry.focusRing && !entry.focusRing.visible) {
+        issues.push({
+          type: 'missing_focus_indicator',
+          wcag: '2.4.7',
+          level: 'AA',
+          severity: 'medium',
+          selector: entry.selector,
+          changedPixels: entry.focusRing.changedPixels,
+          message: `No visible change when ${entry.selector} receives keyboard focus`
+        });
+      }
+    });
+    
+    return issues;
+  }
+
+  auditOrder(order) {
+    const issues = [];
+    // Fixed headers and hidden elements have no meaningful place in the reading order
+    const placed = order.filter(entry => !entry.fixed && !entry.hidden && entry.tag !== 'iframe');
+    
+    for (let i = 1; i < placed.length; i++) {
+      const from = placed[i - 1].docRect;
+      const to = placed[i].docRect;
+      const overlapsColumn = to.x < from.x + from.width && from.x < to.x + to.width;
+      const jumpsUp = to.y + to.height < from.y - Math.max(from.height, 40);
+      
+      // Moving up into the next column is normal; moving up within one column is not
+      if (jumpsUp && (overlapsColumn || to.x < from.x)) {
+        issues.push({
+          type: 'focus_order_mismatch',
+          wcag: '2.4.3',
+          level: 'A',
+          severity: 'medium',
+          selector: placed[i].selector,
+          from: placed[i - 1].selector,
+          tabindex: placed[i].tabindex,
+          message: `Focus jumps back up the page from ${placed[i - 1].selector} to ${placed[i].selector}` +
+            (placed[i].tabindex > 0 ? ` (tabindex="${placed[i].tabindex}")` : '')
+        });
+      }
+    }
+    
+    return issues;
+  }
+
+  async pressKey(tabId, key, modifiers = 0) {
+    const keyCodes = { Tab: 9, Enter: 13, Escape: 27 };
+    const event = { key, code: key, windowsVirtualKeyCode: keyCodes[key], nativeVirtualKeyCode: keyCodes[key], modifiers };
+    
+    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', { type: 'rawKeyDown', ...event });
+    if (key === 'Enter') {
+      await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', { type: 'char', text: '\r', ...event });
+    }
+    await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', { type: 'keyUp', ...event });
+    
+    // Let focus handlers and scroll-into-view run
+    await new Promise(resolve => setTimeout(resolve, this.keyDelay));
+  }
+
+  async resetFocus(tabId) {
+    // Start from the top of the document, whatever earlier checks focused or scrolled
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        document.activeElement?.blur();
+        window.scrollTo(0, 0);
+        const start = document.createElement('span');
+        start.tabIndex = -1;
+        start.setAttribute('data-qa-focus-start', '');
+        document.body.prepend(start);
+        start.focus({ preventScroll: true });
+      }
+    });
+  }
+
+  async focusById(tabId, id) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      args: [id],
+      func: (id) => document.querySelector(`[data-qa-focus="${id}"]`)?.focus()
+    });
+  }
+
+  async describeFocus(tabId) {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        let el = document.activeElement;
+        while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+        if (!el || el === document.body || el === document.documentElement || el.hasAttribute('data-qa-focus-start')) {
+          return null;
+        }
+        
+        document.querySelector('[data-qa-focus-start]')?.remove();
+        if (!el.hasAttribute('data-qa-focus')) {
+          const next = Number(document.documentElement.getAttribute('data-qa-focus-count') || 0);
+          document.documentElement.setAttribute('data-qa-focus-count', next + 1);
+          el.setAttribute('data-qa-focus', next);
+        }
+        
+        const getSelector = node => {
+          const parts = [];
+          for (; node && node.nodeType === 1 && parts.length < 4; node = node.parentElement) {
+            if (node.id) {
+              parts.unshift(`#${CSS.escape(node.id)}`);
+              break;
+            }
+            let part = node.localName;
+            const siblings = node.parentElement
+              ? [...node.parentElement.children].filter(child => child.localName === node.localName)
+              : [];
+            if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            parts.unshift(part);
+          }
+          return parts.join(' > ');
+        };
+        
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        let hidden = null;
+        if (rect.width < 1 || rect.height < 1) hidden = 'zero size';
+        else if (style.visibility === 'hidden') hidden = 'visibility: hidden';
+        else if (style.clip.startsWith('rect(0') || style.clipPath === 'inset(50%)') hidden = 'clipped';
+        
+        let fixed = false;
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+          const nodeStyle = window.getComputedStyle(node);
+          if (parseFloat(nodeStyle.opacity) === 0) hidden = hidden || 'opacity: 0';
+          if (nodeStyle.position === 'fixed' || nodeStyle.position === 'sticky') fixed = true;
+        }
+        
+        const host = el.getRootNode().host;
+        const modalSelector = '[aria-modal="true"], dialog[open]';
+        const modal = !!(el.closest(modalSelector) || host?.closest(modalSelector));
+        
+        const offscreen = !hidden && (rect.bottom <= 0 || rect.right <= 0 ||
+          rect.top >= window.innerHeight || rect.left >= window.innerWidth);
+        
+        // Sticky headers and cookie banners covering the focused element
+        let obscuredBy = null;
+        if (!hidden && !offscreen) {
+          const x = Math.min(window.innerWidth - 1, Math.max(0, rect.left + rect.width / 2));
+          const y = Math.min(window.innerHeight - 1, Math.max(0, rect.top + rect.height / 2));
+          const hit = document.elementFromPoint(x, y);
+          if (hit && hit !== host && !el.contains(hit) && !hit.contains(el)) obscuredBy = getSelector(hit);
+        }
+        
+        return {
+          id: el.getAttribute('data-qa-focus'),
+          selector: getSelector(el),
+          tag: el.localName,
+          text: (el.getAttribute('aria-label') || el.textContent || el.value || '').trim().replace(/\s+/g, ' ').substring(0, 50),
+          href: el.getAttribute('href'),
+          tabindex: el.tabIndex,
+          hidden: hidden,
+          offscreen: offscreen,
+          obscuredBy: obscuredBy,
+          fixed: fixed,
+          modal: modal,
+          docRect: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          }
+        };
+      }
+    });
+    
+    return result.result;
+  }
+
+  async cleanup(tabId) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        document.querySelector('[data-qa-focus-start]')?.remove();
+        document.querySelectorAll('[data-qa-focus]').forEach(el => el.removeAttribute('data-qa-focus'));
+        document.documentElement.removeAttribute('data-qa-focus-count');
+        document.activeElement?.blur();
+        window.scrollTo(0, 0);
+      }
+    }).catch(() => {});
+  }
+}
@@ -276,7 +276,12 @@ export class LayoutValidator {
             });
           }
           
+          // Score deducts per issue by severity, like the other analyzers
+          const penalties = { high: 10, medium: 5, low: 2 };
+          const score = issues.reduce((total, issue) => total - (penalties[issue.severity] || 0), 100);
+          
           return {
+            score: Math.max(0, score),
             viewport: viewport,
             totalIssues: issues.length,
             issues: issues
@@ -290,6 +295,7 @@ export class LayoutValidator {
       console.error('Layout validation error:', error);
       return {
         error: error.message,
+        score: 0,
         issues: []
       };
     }
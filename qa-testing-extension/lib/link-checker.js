@@ -1,8 +1,35 @@
 // Link checker module
+import { UrlDiscovery } from './url-discovery.js';
+
 export class LinkChecker {
-  constructor() {
+  constructor(options = {}) {
     this.timeout = 5000;
     this.maxLinksToCheck = 100;
+    this.maxAssetsToCheck = 150;
+    this.maxFragmentPages = 10;
+    this.maxScriptLinksToInspect = 50;
+    this.renderDelay = 1500;
+    this.slowThreshold = 3000;
+    
+    // Polite crawling: requests to one host are limited, spaced out and
+    // backed off when the server says it is overloaded
+    this.perHostLimit = options.perHostLimit || 4;
+    this.minDelay = options.minDelay ?? 200;
+    this.respectCrawlDelay = !!options.respectCrawlDelay;
+    this.maxRetries = 2;
+    this.maxBackoff = 30000;
+    this.hosts = new Map();
+    
+    // One checker serves a whole run, so each URL is only fetched once
+    this.cache = new Map();
+    this.anchorCache = new Map();
+    
+    // fetch() hides redirect responses from extensions (redirect: 'manual'
+    // only yields an opaque response), so hops and network errors are read
+    // from webRequest for the requests this checker makes
+    this.pendingRequests = new Map();
+    this.trackedRequests = new Map();
+    this.listeners = null;
   }
 
   async check(tabId) {
@@ -31,14 +58,22 @@ export class LinkChecker {
       const results = {
         total: links.length,
         checked: 0,
+        links: [],
         brokenLinks: [],
         redirects: [],
         slowLinks: [],
-        errors: []
+        errors: [],
+        unverified: []
       };
 
-      // Limit number of links to check
-      const linksToCheck = links.slice(0, this.maxLinksToCheck);
+      // Only http(s) links can be fetched; each URL is checked once per page
+      const seen = new Set();
+      const linksToCheck = links.filter(link => {
+        const key = this.getCacheKey(link.href);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }).slice(0, this.maxLinksToCheck);
       
       // Check each link
       const checkPromises = linksToCheck.map(link => this.checkLink(link));
@@ -49,42 +84,40 @@ export class LinkChecker {
         
         if (result.status === 'fulfilled') {
           const linkResult = result.value;
-          const link = linksToCheck[index];
+          const link = { ...linksToCheck[index], ...linkResult };
+          results.links.push(link);
           
-          if (linkResult.error) {
-            results.errors.push({
-              ...link,
-              error: linkResult.error
-            });
+          if (linkResult.throttled) {
+            // Rate limited, so the link's real status is unknown
+            results.unverified.push(link);
+          } else if (linkResult.error) {
+            results.errors.push(link);
           } else if (linkResult.status >= 400) {
-            results.brokenLinks.push({
-              ...link,
-              status: linkResult.status,
-              statusText: linkResult.statusText
-            });
-          } else if (linkResult.status >= 300 && linkResult.status < 400) {
-            results.redirects.push({
-              ...link,
-              status: linkResult.status,
-              redirectUrl: linkResult.redirectUrl
-            });
+            results.brokenLinks.push(link);
           }
           
-          if (linkResult.responseTime > 3000) {
-            results.slowLinks.push({
-              ...link,
-              responseTime: linkResult.responseTime
-            });
+          if (linkResult.redirectChain.length > 0) {
+            results.redirects.push(link);
+          }
+          
+          if (linkResult.responseTime > this.slowThreshold) {
+            results.slowLinks.push(link);
           }
         }
       });
 
+      results.score = Math.max(0, 100 -
+        results.brokenLinks.length * 10 -
+        results.errors.length * 5 -
+        results.slowLinks.length * 2);
+
       return results;
 
     } catch (error) {
       console.error('Link checker error:', error);
       return {
         error: error.message,
+        score: 0,
         total: 0,
         checked: 0,
         brokenLinks: []
@@ -92,61 +125,674 @@ export class LinkChecker {
     }
   }
 
+  async checkAssets(tabId) {
+    try {
+      // Collect every resource the page references, with where it came from
+      const [assetsResult] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => {
+          const assets = [];
+          
+          const add = (url, kind, source, base) => {
+            if (!url || url.startsWith('data:') || url.startsWith('blob:')) return;
+            try {
+              assets.push({ url: new URL(url, base || document.baseURI).href, kind, source });
+            } catch (e) {
+              // Invalid URL
+            }
+          };
+          
+          const addSrcset = (srcset, kind, source) => {
+            (srcset || '').split(',').forEach(candidate => {
+              add(candidate.trim().split(/\s+/)[0], kind, source);
+            });
+          };
+          
+          const addCssUrls = (cssText, kind, source, base) => {
+            const matches = cssText.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g);
+            for (const match of matches) {
+              add(match[2], kind, source, base);
+            }
+          };
+          
+          // Images, including responsive candidates
+          document.querySelectorAll('img').forEach(img => {
+            add(img.getAttribute('src'), 'image', 'img src');
+            addSrcset(img.getAttribute('srcset'), 'image', 'img srcset');
+          });
+          document.querySelectorAll('picture source[srcset]').forEach(source => {
+            addSrcset(source.getAttribute('srcset'), 'image', 'picture source');
+          });
+          
+          // Scripts and linked resources
+          document.querySelectorAll('script[src]').forEach(script => {
+            add(script.getAttribute('src'), 'script', 'script src');
+          });
+          document.querySelectorAll('link[href]').forEach(link => {
+            const rel = (link.getAttribute('rel') || '').toLowerCase();
+            if (rel.includes('stylesheet')) {
+              add(link.getAttribute('href'), 'stylesheet', 'link stylesheet');
+            } else if (rel.includes('preload') || rel.includes('modulepreload')) {
+              add(link.getAttribute('href'), link.getAttribute('as') || 'preload', `link ${rel}`);
+            } else if (rel.includes('icon')) {
+              add(link.getAttribute('href'), 'icon', `link ${rel}`);
+            }
+          });
+          
+          // Video and audio
+          document.querySelectorAll('video, audio').forEach(media => {
+            const tag = media.tagName.toLowerCase();
+            add(media.getAttribute('src'), 'media', `${tag} src`);
+            if (media.getAttribute('poster')) {
+              add(media.getAttribute('poster'), 'image', `${tag} poster`);
+            }
+            media.querySelectorAll('source[src]').forEach(source => {
+              add(source.getAttribute('src'), 'media', `${tag} source`);
+            });
+          });
+          
+          // Social preview image
+          document.querySelectorAll('meta[property="og:image"], meta[name="og:image"]').forEach(meta => {
+            add(meta.getAttribute('content'), 'image', 'og:image');
+          });
+          
+          // CSS backgrounds and fonts. Cross-origin sheets can't be read here;
+          // they are still checked as stylesheets above.
+          const readRules = (rules, base) => {
+            Array.from(rules || []).forEach(rule => {
+              if (rule.cssRules) {
+                readRules(rule.cssRules, base);
+              }
+              if (rule.type === CSSRule.FONT_FACE_RULE) {
+                addCssUrls(rule.style.getPropertyValue('src'), 'font', '@font-face', base);
+              } else if (rule.style) {
+                addCssUrls(rule.style.cssText, 'image', 'css url()', base);
+              }
+            });
+          };
+          
+          Array.from(document.styleSheets).forEach(sheet => {
+            try {
+              readRules(sheet.cssRules, sheet.href || document.baseURI);
+            } catch (e) {
+              // Cross-origin stylesheet
+            }
+          });
+          
+          document.querySelectorAll('[style*="url("]').forEach(el => {
+            addCssUrls(el.getAttribute('style'), 'image', 'inline style');
+          });
+          
+          return assets;
+        }
+      });
+      
+      // Report each URL once, keeping every place it was referenced from
+      const assetsByUrl = new Map();
+      assetsResult.result.forEach(asset => {
+        const key = this.getCacheKey(asset.url);
+        if (!key) return;
+        
+        if (!assetsByUrl.has(key)) {
+          assetsByUrl.set(key, { url: asset.url, kind: asset.kind, sources: [] });
+        }
+        const entry = assetsByUrl.get(key);
+        if (!entry.sources.includes(asset.source)) {
+          entry.sources.push(asset.source);
+        }
+      });
+      
+      const assetsToCheck = Array.from(assetsByUrl.values()).slice(0, this.maxAssetsToCheck);
+      const results = {
+        total: assetsByUrl.size,
+        checked: 0,
+        assets: [],
+        broken: [],
+        errors: [],
+        unverified: [],
+        typeMismatches: []
+      };
+      
+      const checkResults = await Promise.allSettled(
+        assetsToCheck.map(asset => this.checkLink({ href: asset.url }))
+      );
+      
+      checkResults.forEach((result, index) => {
+        results.checked++;
+        if (result.status !== 'fulfilled') return;
+        
+        const check = result.value;
+        const asset = {
+          ...assetsToCheck[index],
+          status: check.status,
+          reachable: check.throttled ? null : !check.error && check.status < 400,
+          contentType: check.contentType || null,
+          size: check.contentLength || null,
+          responseTime: check.responseTime,
+          error: check.error,
+          errorType: check.errorType,
+          message: check.message
+        };
+        results.assets.push(asset);
+        
+        if (check.throttled) {
+          results.unverified.push(asset);
+        } else if (check.error) {
+          results.errors.push(asset);
+        } else if (check.status >= 400) {
+          results.broken.push(asset);
+        } else if (!this.isExpectedContentType(asset.kind, asset.contentType)) {
+          // An image URL serving an HTML page is usually a missing file
+          results.typeMismatches.push(asset);
+        }
+      });
+      
+      results.score = Math.max(0, 100 -
+        results.broken.length * 10 -
+        results.errors.length * 5 -
+        results.typeMismatches.length * 3);
+      
+      return results;
+      
+    } catch (error) {
+      console.error('Asset checker error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        total: 0,
+        checked: 0,
+        assets: [],
+        broken: []
+      };
+    }
+  }
+
+  isExpectedContentType(kind, contentType) {
+    if (!contentType) return true;
+    
+    const type = contentType.toLowerCase();
+    const expected = {
+      image: ['image/'],
+      icon: ['image/'],
+      font: ['font/', 'application/font', 'application/x-font', 'application/vnd.ms-fontobject', 'application/octet-stream'],
+      stylesheet: ['text/css'],
+      style: ['text/css'],
+      script: ['javascript', 'ecmascript']
+    }[kind];
+    
+    return !expected || expected.some(prefix => type.includes(prefix));
+  }
+
+  getCacheKey(href) {
+    try {
+      const url = new URL(href);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      
+      // Fragments never reach the server
+      url.hash = '';
+      return url.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
   async checkLink(link) {
+    const key = this.getCacheKey(link.href);
+    if (!key) {
+      return {
+        error: 'Not an http(s) URL',
+        errorType: 'unsupported',
+        redirectChain: [],
+        responseTime: 0
+      };
+    }
+    
+    // Share the in-flight promise so concurrent pages wait on one request
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.fetchLink(key));
+    }
+    
+    return this.cache.get(key);
+  }
+
+  async fetchLink(url) {
+    // Use HEAD for efficiency, falling back to GET for servers that reject it
+    const result = await this.politeRequest(url, 'HEAD');
+    
+    if (!result.throttled && (result.error || result.status === 405 || result.status === 501)) {
+      return this.politeRequest(url, 'GET');
+    }
+    
+    return result;
+  }
+
+  async politeRequest(url, method) {
+    const host = this.getHostState(url);
+    
+    for (let attempt = 0; ; attempt++) {
+      const result = await this.schedule(url, () => this.request(url, method));
+      if (result.status !== 429 && result.status !== 503) return result;
+      
+      const wait = this.getRetryDelay(result.retryAfter, attempt);
+      if (attempt >= this.maxRetries || wait > this.maxBackoff) {
+        return {
+          ...result,
+          throttled: true,
+          message: `Could not verify: server answered ${result.status} after ${attempt + 1} attempt${attempt === 0 ? '' : 's'}`
+        };
+      }
+      
+      // Back off the whole host, not just this URL
+      host.nextAllowed = Math.max(host.nextAllowed, Date.now() + wait);
+    }
+  }
+
+  getRetryDelay(retryAfter, attempt) {
+    if (retryAfter) {
+      // Retry-After is either seconds or an HTTP date
+      if (/^\d+$/.test(retryAfter.trim())) {
+        return parseInt(retryAfter) * 1000;
+      }
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+    
+    return 1000 * Math.pow(2, attempt);
+  }
+
+  getHostState(url) {
+    const { host, origin } = new URL(url);
+    
+    if (!this.hosts.has(host)) {
+      const state = {
+        active: 0,
+        waiting: [],
+        nextAllowed: 0,
+        delay: this.minDelay,
+        timer: null,
+        ready: Promise.resolve()
+      };
+      
+      if (this.respectCrawlDelay) {
+        state.ready = new UrlDiscovery().fetchRobots(origin)
+          .then(robots => {
+            if (robots.crawlDelay) {
+              state.delay = Math.max(this.minDelay, robots.crawlDelay * 1000);
+            }
+          })
+          .catch(() => {});
+      }
+      
+      this.hosts.set(host, state);
+    }
+    
+    return this.hosts.get(host);
+  }
+
+  async schedule(url, task) {
+    // Every request this run makes goes through here, per host
+    const state = this.getHostState(url);
+    await state.ready;
+    await new Promise(resolve => {
+      state.waiting.push(resolve);
+      this.pumpHost(state);
+    });
+    
+    try {
+      return await task();
+    } finally {
+      state.active--;
+      this.pumpHost(state);
+    }
+  }
+
+  pumpHost(state) {
+    if (state.timer || state.active >= this.perHostLimit || state.waiting.length === 0) return;
+    
+    const wait = state.nextAllowed - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        this.pumpHost(state);
+      }, wait);
+      return;
+    }
+    
+    state.active++;
+    state.nextAllowed = Date.now() + state.delay;
+    state.waiting.shift()();
+    this.pumpHost(state);
+  }
+
+  async request(url, method) {
     const startTime = Date.now();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const tracked = { hops: [], error: null };
+    
+    this.startTracking();
+    this.pendingRequests.set(url, tracked);
     
     try {
-      // Use fetch with HEAD request for efficiency
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-      
-      const response = await fetch(link.href, {
-        method: 'HEAD',
+      const response = await fetch(url, {
+        method: method,
         signal: controller.signal,
-        redirect: 'manual'
+        redirect: 'follow',
+        cache: 'no-store',
+        credentials: 'omit'
       });
       
-      clearTimeout(timeoutId);
-      
-      const responseTime = Date.now() - startTime;
+      // Don't download GET bodies just to read the status
+      if (method === 'GET' && response.body) {
+        response.body.cancel().catch(() => {});
+      }
       
       return {
+        method: method,
         status: response.status,
         statusText: response.statusText,
-        responseTime: responseTime,
-        redirectUrl: response.headers.get('location')
+        ok: response.ok,
+        finalUrl: response.url,
+        redirectChain: this.getRedirectChain(url, response, tracked),
+        contentType: response.headers.get('content-type'),
+        contentLength: parseInt(response.headers.get('content-length')) || null,
+        retryAfter: response.headers.get('retry-after'),
+        responseTime: Date.now() - startTime
       };
       
     } catch (error) {
-      // Try GET request if HEAD fails
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-        
-        const response = await fetch(link.href, {
-          method: 'GET',
-          signal: controller.signal,
-          redirect: 'manual'
+      const errorType = controller.signal.aborted ? 'timeout' : this.classifyError(tracked.error);
+      
+      return {
+        method: method,
+        error: errorType === 'timeout' 
+          ? `Timed out after ${this.timeout}ms` 
+          : (tracked.error || error.message),
+        errorType: errorType,
+        redirectChain: tracked.hops,
+        responseTime: Date.now() - startTime
+      };
+      
+    } finally {
+      clearTimeout(timeoutId);
+      if (this.pendingRequests.get(url) === tracked) {
+        this.pendingRequests.delete(url);
+      }
+      for (const [requestId, entry] of this.trackedRequests) {
+        if (entry === tracked) this.trackedRequests.delete(requestId);
+      }
+    }
+  }
+
+  getRedirectChain(url, response, tracked) {
+    if (tracked.hops.length > 0) return tracked.hops;
+    
+    // webRequest missed the request; fetch still tells us where it ended up
+    if (response.redirected) {
+      return [{ url: url, status: null, location: response.url }];
+    }
+    
+    return [];
+  }
+
+  classifyError(netError) {
+    if (!netError) return 'network';
+    if (netError.includes('NAME_NOT_RESOLVED') || netError.includes('NAME_RESOLUTION')) return 'dns';
+    if (netError.includes('TOO_MANY_REDIRECTS')) return 'redirect_loop';
+    if (netError.includes('TIMED_OUT')) return 'timeout';
+    if (netError.includes('CERT') || netError.includes('SSL')) return 'ssl';
+    if (netError.includes('CONNECTION')) return 'connection';
+    return 'network';
+  }
+
+  startTracking() {
+    if (this.listeners || !chrome.webRequest) return;
+    
+    const ownOrigin = `chrome-extension://${chrome.runtime.id}`;
+    const isOwnRequest = details => details.tabId === -1 && 
+      (!details.initiator || details.initiator === ownOrigin);
+    
+    this.listeners = {
+      onBeforeRequest: details => {
+        if (!isOwnRequest(details)) return;
+        const tracked = this.pendingRequests.get(details.url);
+        if (tracked && !this.trackedRequests.has(details.requestId)) {
+          this.trackedRequests.set(details.requestId, tracked);
+        }
+      },
+      onBeforeRedirect: details => {
+        const tracked = this.trackedRequests.get(details.requestId);
+        if (!tracked) return;
+        tracked.hops.push({
+          url: details.url,
+          status: details.statusCode,
+          location: details.redirectUrl
+        });
+      },
+      onErrorOccurred: details => {
+        const tracked = this.trackedRequests.get(details.requestId);
+        if (tracked) tracked.error = details.error;
+      }
+    };
+    
+    const filter = { urls: ['<all_urls>'], tabId: -1 };
+    Object.entries(this.listeners).forEach(([event, listener]) => {
+      chrome.webRequest[event].addListener(listener, filter);
+    });
+  }
+
+  dispose() {
+    if (this.listeners) {
+      Object.entries(this.listeners).forEach(([event, listener]) => {
+        chrome.webRequest[event].removeListener(listener);
+      });
+      this.listeners = null;
+    }
+
+    this.cache.clear();
+    this.anchorCache.clear();
+    this.hosts.forEach(state => clearTimeout(state.timer));
+    this.hosts.clear();
+  }
+
+  async checkLinkHygiene(tabId) {
+    try {
+      // Links that can't be fetched: mail, phone, script and placeholder hrefs
+      const [linksResult] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => {
+          return Array.from(document.querySelectorAll('a[href]')).map((link, index) => {
+            const href = link.getAttribute('href').trim();
+            const scheme = href.match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase() || null;
+            
+            return {
+              index: index,
+              href: href,
+              scheme: scheme,
+              text: link.textContent.trim().substring(0, 80),
+              inlineHandlers: ['onclick', 'onkeydown', 'onkeyup', 'onkeypress']
+                .filter(attr => link.hasAttribute(attr))
+                .map(attr => attr.substring(2))
+            };
+          }).filter(link => link.href === '#' || link.href === '' ||
+            ['mailto', 'tel', 'sms', 'javascript'].includes(link.scheme));
+        }
+      });
+      
+      const links = linksResult.result;
+      const results = {
+        total: links.length,
+        mailto: 0,
+        tel: 0,
+        sms: 0,
+        javascript: 0,
+        placeholders: 0,
+        issues: []
+      };
+      
+      const scriptLinks = links.filter(link => link.scheme === 'javascript');
+      const listeners = await this.getLinkListeners(tabId, scriptLinks.map(link => link.index));
+      
+      links.forEach(link => {
+        const issue = (type, severity, message) => results.issues.push({
+          type: type,
+          severity: severity,
+          href: link.href,
+          text: link.text,
+          message: message
         });
         
-        clearTimeout(timeoutId);
-        
-        const responseTime = Date.now() - startTime;
-        
-        return {
-          status: response.status,
-          statusText: response.statusText,
-          responseTime: responseTime,
-          redirectUrl: response.headers.get('location')
-        };
+        if (link.href === '#' || link.href === '') {
+          results.placeholders++;
+          issue('placeholder_href', 'medium', `Placeholder href="${link.href}" on "${link.text || 'link without text'}"`);
+        } else if (link.scheme === 'mailto') {
+          results.mailto++;
+          this.validateMailto(link.href).forEach(message => issue('invalid_mailto', 'medium', message));
+        } else if (link.scheme === 'tel') {
+          results.tel++;
+          const number = link.href.substring(4).split(';')[0];
+          if (!this.isE164(number)) {
+            issue('invalid_tel', 'medium', `tel: number "${number}" is not in E.164 format (e.g. +14165550123)`);
+          }
+        } else if (link.scheme === 'sms') {
+          results.sms++;
+          const [recipients, query] = link.href.substring(4).split('?');
+          recipients.split(',').filter(Boolean).forEach(number => {
+            if (!this.isE164(number)) {
+              issue('invalid_sms', 'medium', `sms: number "${number}" is not in E.164 format (e.g. +14165550123)`);
+            }
+          });
+          if (query && !this.isEncodedQuery(query)) {
+            issue('invalid_sms', 'low', 'sms: body is not URL-encoded');
+          }
+        } else if (link.scheme === 'javascript') {
+          results.javascript++;
+          const types = new Set([...link.inlineHandlers, ...(listeners.get(link.index) || [])]);
+          
+          // Enter on a focused link fires click, so a click handler counts
+          const keyboardReachable = ['click', 'keydown', 'keyup', 'keypress'].some(type => types.has(type));
+          if (!keyboardReachable) {
+            issue('javascript_link_no_handler', 'high', `"${link.href}" link has no click or keyboard handler`);
+          }
+        }
+      });
+      
+      const penalties = { high: 10, medium: 5, low: 2 };
+      results.score = Math.max(0, results.issues.reduce((total, issue) => total - penalties[issue.severity], 100));
+      
+      return results;
+      
+    } catch (error) {
+      console.error('Link hygiene check error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        total: 0,
+        issues: []
+      };
+    }
+  }
+
+  async getLinkListeners(tabId, indexes) {
+    // Listeners added with addEventListener are only visible over CDP
+    const listeners = new Map();
+    if (indexes.length === 0) return listeners;
+    
+    try {
+      await chrome.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      // Another debugger session is active; inline handlers still count
+      return listeners;
+    }
+    
+    try {
+      for (const index of indexes.slice(0, this.maxScriptLinksToInspect)) {
+        const { result } = await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
+          expression: `document.querySelectorAll('a[href]')[${index}]`
+        });
+        if (!result?.objectId) continue;
         
-      } catch (fallbackError) {
-        return {
-          error: fallbackError.message,
-          responseTime: Date.now() - startTime
-        };
+        const { listeners: found } = await chrome.debugger.sendCommand({ tabId }, 'DOMDebugger.getEventListeners', {
+          objectId: result.objectId
+        });
+        listeners.set(index, found.map(listener => listener.type));
+      }
+    } catch (error) {
+      console.error('Link listener lookup error:', error);
+    } finally {
+      await chrome.debugger.detach({ tabId }).catch(() => {});
+    }
+    
+    return listeners;
+  }
+
+  validateMailto(href) {
+    const problems = [];
+    const [addressPart, query] = href.substring(7).split('?');
+    let addresses = [];
+    
+    try {
+      addresses = decodeURIComponent(addressPart).split(',').map(address => address.trim()).filter(Boolean);
+    } catch (e) {
+      problems.push(`mailto: address has invalid percent-encoding: ${addressPart}`);
+    }
+    
+    if (query) {
+      const params = query.split('&');
+      params.forEach(param => {
+        const [name] = param.split('=');
+        if (name.toLowerCase() === 'to' || name.toLowerCase() === 'cc' || name.toLowerCase() === 'bcc') {
+          try {
+            addresses.push(...decodeURIComponent(param.substring(name.length + 1)).split(','));
+          } catch (e) {
+            // Reported as an encoding problem below
+          }
+        } else if (!['subject', 'body'].includes(name.toLowerCase())) {
+          problems.push(`mailto: has unknown field "${name}"`);
+        }
+      });
+      
+      if (!this.isEncodedQuery(query)) {
+        problems.push('mailto: subject or body is not URL-encoded');
       }
     }
+    
+    if (addresses.length === 0) {
+      problems.push('mailto: link has no address');
+    }
+    
+    addresses.map(address => address.trim()).filter(Boolean).forEach(address => {
+      if (!/^[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[a-z]{2,}$/i.test(address)) {
+        problems.push(`mailto: address "${address}" is not a valid email address`);
+      }
+    });
+    
+    return problems;
+  }
+
+  isE164(number) {
+    // Visual separators are allowed in tel: URIs; the digits must be E.164
+    let digits = number;
+    try {
+      digits = decodeURIComponent(number);
+    } catch (e) {
+      return false;
+    }
+    return /^\+[1-9]\d{7,14}$/.test(digits.replace(/[\s().-]/g, ''));
+  }
+
+  isEncodedQuery(query) {
+    // Raw spaces, quotes, angle brackets or line breaks mean nothing was encoded
+    if (/[\s"<>]/.test(query)) return false;
+    
+    try {
+      decodeURIComponent(query.replace(/\+/g, ' '));
+      return true;
+    } catch (e) {
+      return false;
+    }
   }
 
   async checkInternalLinks(tabId) {
@@ -163,43 +809,190 @@ export class LinkChecker {
                           link.href.startsWith(window.location.origin));
           });
           
+          const currentPage = window.location.href.split('#')[0];
           const brokenAnchors = [];
+          const crossPageFragments = [];
           
           internalLinks.forEach(link => {
-            const href = link.getAttribute('href');
+            const url = new URL(link.href);
+            const fragment = decodeURIComponent(url.hash.substring(1));
             
-            // Check anchor links
-            if (href && href.startsWith('#') && href.length > 1) {
-              const targetId = href.substring(1);
-              const targetElement = document.getElementById(targetId) || 
-                                  document.querySelector(`[name="${targetId}"]`);
-              
-              if (!targetElement) {
-                brokenAnchors.push({
-                  href: href,
-                  text: link.textContent.trim(),
-                  message: `Anchor target '${targetId}' not found`
-                });
-              }
+            // "#top" and text fragments are always valid
+            if (!fragment || fragment === 'top' || fragment.startsWith(':~:')) return;
+            
+            url.hash = '';
+            if (url.href !== currentPage) {
+              // Resolved against the target page after this script returns
+              crossPageFragments.push({
+                href: link.href,
+                targetUrl: url.href,
+                fragment: fragment,
+                text: link.textContent.trim()
+              });
+              return;
+            }
+            
+            // Anchors on this page
+            const targetElement = document.getElementById(fragment) || 
+                                document.getElementsByName(fragment)[0];
+            
+            if (!targetElement) {
+              brokenAnchors.push({
+                href: link.getAttribute('href'),
+                text: link.textContent.trim(),
+                message: `Anchor target '${fragment}' not found`
+              });
             }
           });
           
           return {
+            sourcePage: currentPage,
             totalInternal: internalLinks.length,
-            brokenAnchors: brokenAnchors
+            brokenAnchors: brokenAnchors,
+            crossPageFragments: crossPageFragments
           };
         }
       });
       
-      return result.result;
+      const internal = result.result;
+      const fragments = await this.checkCrossPageFragments(tabId, internal.sourcePage, internal.crossPageFragments);
+      delete internal.crossPageFragments;
+      
+      return { ...internal, ...fragments };
       
     } catch (error) {
       console.error('Internal link check error:', error);
       return {
         error: error.message,
         totalInternal: 0,
-        brokenAnchors: []
+        brokenAnchors: [],
+        brokenFragments: []
       };
     }
   }
-}
\ No newline at end of file
+
+  async checkCrossPageFragments(tabId, sourcePage, links) {
+    // Group fragment links by the page they point into
+    const targets = new Map();
+    links.forEach(link => {
+      if (!targets.has(link.targetUrl)) targets.set(link.targetUrl, []);
+      targets.get(link.targetUrl).push(link);
+    });
+    
+    const results = {
+      fragmentPagesChecked: 0,
+      brokenFragments: []
+    };
+    const { windowId } = await chrome.tabs.get(tabId);
+    
+    for (const [targetUrl, targetLinks] of Array.from(targets).slice(0, this.maxFragmentPages)) {
+      const anchors = await this.getPageAnchors(targetUrl);
+      if (anchors.error) continue;
+      results.fragmentPagesChecked++;
+      
+      let missing = targetLinks.filter(link => !anchors.ids.includes(link.fragment));
+      
+      // Targets rendered by client-side JS only exist once the page has run
+      if (missing.length > 0) {
+        const rendered = await this.getRenderedAnchors(targetUrl, windowId);
+        if (!rendered.error) {
+          missing = missing.filter(link => !rendered.ids.includes(link.fragment));
+        }
+      }
+      
+      missing.forEach(link => {
+        results.brokenFragments.push({
+          ...link,
+          sourcePage: sourcePage,
+          message: `${sourcePage} links to missing anchor #${link.fragment} on ${targetUrl}`
+        });
+      });
+    }
+    
+    return results;
+  }
+
+  getPageAnchors(url) {
+    // Ids and names in the served HTML, fetched once per run
+    if (!this.anchorCache.has(url)) {
+      this.anchorCache.set(url, this.schedule(url, async () => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        
+        try {
+          const response = await fetch(url, {
+            signal: controller.signal,
+            cache: 'no-store',
+            credentials: 'omit'
+          });
+          
+          if (!response.ok) {
+            return { error: `Target page returned ${response.status}` };
+          }
+          
+          const html = await response.text();
+          const ids = Array.from(html.matchAll(/\s(?:id|name)\s*=\s*(["']?)([^"'\s>]+)\1/gi), match => match[2]);
+          return { ids: ids };
+          
+        } catch (error) {
+          return { error: error.message };
+          
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      }));
+    }
+    
+    return this.anchorCache.get(url);
+  }
+
+  getRenderedAnchors(url, windowId) {
+    // Ids and names after scripts run, read from a tab in the test window
+    const key = `rendered:${url}`;
+    if (!this.anchorCache.has(key)) {
+      this.anchorCache.set(key, (async () => {
+        let tab = null;
+        
+        try {
+          tab = await chrome.tabs.create({ windowId, url, active: false });
+          await this.waitForTab(tab.id);
+          
+          const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => Array.from(document.querySelectorAll('[id], [name]'))
+              .flatMap(el => [el.id, el.getAttribute('name')])
+              .filter(Boolean)
+          });
+          
+          return { ids: result.result };
+          
+        } catch (error) {
+          return { error: error.message };
+          
+        } finally {
+          if (tab) {
+            await chrome.tabs.remove(tab.id).catch(() => {});
+          }
+        }
+      })());
+    }
+    
+    return this.anchorCache.get(key);
+  }
+
+  async waitForTab(tabId, timeout = 15000) {
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < timeout) {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete') {
+        // Give client-side rendering a moment to add its elements
+        await new Promise(resolve => setTimeout(resolve, this.renderDelay));
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    
+    throw new Error('Page load timeout');
+  }
+}
@@ -0,0 +1,283 @@
+// Mixed content and insecure form detector module
+export class MixedContentDetector {
+  constructor() {
+    this.loadTimeout = 20000;
+    // Time after the load event for lazy and script-injected requests
+    this.settleDelay = 2500;
+    this.maxFindings = 50;
+  }
+
+  async check(tabId, pageUrl) {
+    try {
+      const isHttps = new URL(pageUrl).protocol === 'https:';
+      const results = {
+        isHttps: isHttps,
+        requests: [],
+        forms: [],
+        issues: []
+      };
+      
+      // Mixed content only exists on secure pages; forms are checked everywhere
+      if (isHttps) {
+        const capture = await this.captureRequests(tabId);
+        results.securityState = capture.securityState;
+        results.captureError = capture.error;
+        results.requests = capture.requests;
+        results.issues.push(...this.auditRequests(capture.requests));
+      }
+      
+      const dom = await this.inspectDom(tabId);
+      results.forms = dom.forms;
+      results.issues.push(...this.auditDom(dom, isHttps, results.requests));
+      
+      const penalties = { high: 15, medium: 7, low: 2 };
+      const score = results.issues.reduce((total, issue) => total - (penalties[issue.severity] || 0), 100);
+      results.score = Math.max(0, score);
+      
+      return results;
+    
+    } catch (error) {
+      console.error('Mixed content check error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        requests: [],
+        issues: []
+      };
+    }
+  }
+
+  async captureRequests(tabId) {
+    // Reload under the debugger so requests made at runtime are seen too
+    const requests = new Map();
+    let securityState = null;
+    let onLoad;
+    const loaded = new Promise(resolve => { onLoad = resolve; });
+    
+    const onEvent = (source, method, params) => {
+      if (source.tabId !== tabId) return;
+      
+      if (method === 'Network.requestWillBeSent') {
+        const mixedContentType = params.request.mixedContentType || 'none';
+        if (mixedContentType === 'none' && !params.request.url.startsWith('http:')) return;
+        
+        requests.set(params.requestId, {
+          url: params.request.url,
+          resourceType: params.type,
+          mixedContentType: mixedContentType,
+          initiator: params.initiator?.url || params.initiator?.stack?.callFrames?.[0]?.url || null,
+          blocked: false
+        });
+      } else if (method === 'Network.loadingFailed' && requests.has(params.requestId)) {
+        const request = requests.get(params.requestId);
+        request.blocked = params.blockedReason === 'mixed-content';
+        request.error = params.errorText;
+      } else if (method === 'Security.visibleSecurityStateChanged') {
+        securityState = {
+          state: params.visibleSecurityState.securityState,
+          issues: params.visibleSecurityState.securityStateIssueIds || []
+        };
+      } else if (method === 'Page.loadEventFired') {
+        onLoad();
+      }
+    };
+    
+    chrome.debugger.onEvent.addListener(onEvent);
+    try {
+      await chrome.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      chrome.debugger.onEvent.removeListener(onEvent);
+      return { error: `Could not attach debugger: ${error.message}`, requests: [], securityState: null };
+    }
+    
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'Network.enable');
+      await chrome.debugger.sendCommand({ tabId }, 'Security.enable');
+      await chrome.debugger.sendCommand({ tabId }, 'Page.enable');
+      await chrome.debugger.sendCommand({ tabId }, 'Page.reload', { ignoreCache: true });
+      
+      await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, this.loadTimeout))]);
+      await new Promise(resolve => setTimeout(resolve, this.settleDelay));
+      
+      return { requests: [...requests.values()], securityState };
+    
+    } finally {
+      chrome.debugger.onEvent.removeListener(onEvent);
+      await chrome.debugger.detach({ tabId }).catch(() => {});
+    }
+  }
+
+  auditRequests(requests) {
+    const issues = [];
+    const seen = new Set();
+    
+    requests.forEach(request => {
+      if (seen.has(request.url) || issues.length >= this.maxFindings) return;
+      seen.add(request.url);
+      
+      // Chrome classifies scripts, frames, CSS and XHR as blockable (active)
+      const active = request.mixedContentType === 'blockable' ||
+        (request.mixedContentType === 'none' && ['Script', 'Stylesheet', 'XHR', 'Fetch', 'Document', 'WebSocket'].includes(request.resourceType));
+      // Passive requests the browser quietly rewrote to https
+      const upgraded = request.url.startsWith('https:');
+      
+      let severity = 'medium';
+      let message = `Passive mixed content (${request.resourceType}): ${request.url}`;
+      if (active) {
+        severity = request.blocked ? 'medium' : 'high';
+        message = request.blocked
+          ? `Active mixed content was blocked, so this ${request.resourceType} does not load: ${request.url}`
+          : `Active mixed content (${request.resourceType}) loaded over http: ${request.url}`;
+      } else if (upgraded) {
+        severity = 'low';
+        message = `Passive mixed content (${request.resourceType}) auto-upgraded to https by the browser: ${request.url}`;
+      }
+      
+      issues.push({
+        type: active ? 'active_mixed_content' : 'passive_mixed_content',
+        severity: severity,
+        url: request.url,
+        resourceType: request.resourceType,
+        blocked: request.blocked,
+        initiator: request.initiator,
+        source: 'network',
+        message: message
+      });
+    });
+    
+    return issues;
+  }
+
+  async inspectDom(tabId) {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        const describe = el => {
+          let selector = el.tagName.toLowerCase();
+          // Attributes, since form.id can be shadowed by a field named "id"
+          if (el.getAttribute('id')) selector += `#${el.getAttribute('id')}`;
+          else if (el.getAttribute('name')) selector += `[name="${el.getAttribute('name')}"]`;
+          return selector;
+        };
+        
+        // Insecure references that may not have been requested yet (lazy, hidden)
+        const resources = [];
+        const addResource = (el, url, kind) => {
+          if (url && url.startsWith('http:')) {
+            resources.push({ url, kind, element: describe(el) });
+          }
+        };
+        document.querySelectorAll('img[src], img[srcset], source[src], source[srcset], video[src], audio[src], video[poster]').forEach(el => {
+          addResource(el, el.src || el.currentSrc, 'passive');
+          (el.getAttribute('srcset') || '').split(',').forEach(candidate => {
+            const href = candidate.trim().split(/\s+/)[0];
+            if (href) addResource(el, new URL(href, document.baseURI).href, 'passive');
+          });
+          if (el.poster) addResource(el, el.poster, 'passive');
+        });
+        document.querySelectorAll('script[src], iframe[src], frame[src], embed[src], object[data]').forEach(el => {
+          addResource(el, el.src || el.data, 'active');
+        });
+        document.querySelectorAll('link[rel~="stylesheet"][href], link[rel~="preload"][href], link[rel~="modulepreload"][href]').forEach(el => {
+          addResource(el, el.href, 'active');
+        });
+        
+        const forms = [...document.forms].map(form => ({
+          selector: describe(form),
+          action: form.action,
+          method: (form.getAttribute('method') || 'get').toLowerCase(),
+          hasPassword: !!form.querySelector('input[type="password"]')
+        }));
+        const orphanPasswords = [...document.querySelectorAll('input[type="password"]')]
+          .filter(input => !input.form)
+          .map(describe);
+        
+        // rel=noopener/noreferrer, or an opener-less browsing context
+        const unsafeBlankLinks = [...document.querySelectorAll('a[target="_blank" i][href], area[target="_blank" i][href]')]
+          .filter(link => !/\bno(opener|referrer)\b/i.test(link.rel) && /^https?:/.test(link.href))
+          .map(link => ({
+            href: link.href,
+            text: (link.textContent || '').trim().substring(0, 50),
+            external: new URL(link.href).origin !== window.location.origin
+          }));
+        
+        return { resources, forms, orphanPasswords, unsafeBlankLinks };
+      }
+    });
+    
+    return result.result;
+  }
+
+  auditDom(dom, isHttps, requests) {
+    const issues = [];
+    
+    if (isHttps) {
+      // Only report references the network capture did not already catch
+      const requested = new Set(requests.map(request => request.url.replace(/^https:/, 'http:')));
+      dom.resources.filter(resource => !requested.has(resource.url)).slice(0, this.maxFindings).forEach(resource => {
+        issues.push({
+          type: `${resource.kind}_mixed_content`,
+          severity: resource.kind === 'active' ? 'high' : 'medium',
+          url: resource.url,
+          element: resource.element,
+          source: 'dom',
+          message: `${resource.element} references insecure ${resource.url}`
+        });
+      });
+    }
+    
+    dom.forms.forEach(form => {
+      if (form.action.startsWith('http:')) {
+        issues.push({
+          type: 'insecure_form_action',
+          severity: isHttps || form.hasPassword ? 'high' : 'medium',
+          element: form.selector,
+          action: form.action,
+          message: isHttps
+            ? `Form ${form.selector} on a secure page submits to http: ${form.action}`
+            : `Form ${form.selector} submits over http: ${form.action}`
+        });
+      }
+      
+      if (form.hasPassword && !isHttps) {
+        issues.push({
+          type: 'password_insecure_origin',
+          severity: 'high',
+          element: form.selector,
+          message: `Password field in ${form.selector} is on a page not served over HTTPS`
+        });
+      }
+      
+      if (form.hasPassword && form.method === 'get') {
+        issues.push({
+          type: 'password_form_get',
+          severity: 'medium',
+          element: form.selector,
+          message: `Form ${form.selector} sends a password with GET, exposing it in URLs and logs`
+        });
+      }
+    });
+    
+    if (!isHttps && dom.orphanPasswords.length > 0) {
+      issues.push({
+        type: 'password_insecure_origin',
+        severity: 'high',
+        elements: dom.orphanPasswords,
+        message: `${dom.orphanPasswords.length} password field(s) on a page not served over HTTPS`
+      });
+    }
+    
+    // Current browsers imply noopener, but older ones hand over window.opener
+    dom.unsafeBlankLinks.filter(link => link.external).slice(0, this.maxFindings).forEach(link => {
+      issues.push({
+        type: 'target_blank_without_noopener',
+        severity: 'low',
+        url: link.href,
+        text: link.text,
+        message: `Link opens in a new tab without rel="noopener": ${link.href}`
+      });
+    });
+    
+    return issues;
+  }
+}
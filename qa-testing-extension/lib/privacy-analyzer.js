@@ -0,0 +1,446 @@
+// Privacy analyzer module (cookies, storage, third parties and consent)
+import { ThirdPartyVendors } from './third-party-vendors.js';
+
+export class PrivacyAnalyzer {
+  constructor() {
+    this.vendors = new ThirdPartyVendors();
+    this.loadTimeout = 20000;
+    // Trackers often fire a little after load, from tag managers
+    this.settleDelay = 3000;
+    // Roughly 13 months, the longest consent lifetime regulators accept
+    this.maxCookieLifetime = 396 * 24 * 60 * 60;
+    
+    // Cookies that mean the visitor already answered a consent banner
+    this.consentCookies = [
+      /^OptanonAlertBoxClosed$/, /^OptanonConsent$/, /^CookieConsent$/, /^euconsent(-v2)?$/,
+      /^cookieyes-consent$/, /^cmplz_/, /^didomi_token$/, /^_iub_cs-/, /^borlabs-cookie$/,
+      /^cookielawinfo-checkbox/, /^cookie_consent/i, /^notice_preferences$/
+    ];
+    
+    // Cookie names set by common trackers, including first-party ones
+    this.trackingCookies = [
+      /^_ga(_|$)/, /^_gid$/, /^_gat/, /^_gcl_/, /^_fbp$/, /^_fbc$/, /^_hj/, /^_clck$/, /^_clsk$/,
+      /^_uet(sid|vid)$/, /^MUID$/, /^IDE$/, /^test_cookie$/, /^li_/, /^bcookie$/, /^_tt_/, /^_ttp$/,
+      /^_pin_unauth$/, /^hubspotutk$/, /^__hs/, /^ajs_/, /^mp_/, /^amp_/, /^_scid/, /^_rdt_uuid$/
+    ];
+    
+    // Runs in the page before its own scripts and records the names of cookies written through document.cookie
+    this.cookieWriteRecorder = `(() => {
+      const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+      if (!descriptor || !descriptor.set) return;
+      const writes = [];
+      Object.defineProperty(window, '__qaCookieWrites', { value: writes });
+      Object.defineProperty(Document.prototype, 'cookie', {
+        ...descriptor,
+        set(value) {
+          writes.push(String(value).split(';')[0].split('=')[0].trim());
+          return descriptor.set.call(this, value);
+        }
+      });
+    })();`;
+  }
+
+  async analyze(tabId, pageUrl) {
+    try {
+      const before = await this.getConsentState(tabId, pageUrl);
+      const capture = await this.captureLoad(tabId, pageUrl);
+      const storage = await this.getStorage(tabId);
+      const banner = await this.detectBanner(tabId);
+      
+      const thirdParties = this.groupByVendor(capture.requests, pageUrl);
+      const cookies = capture.cookies.map(cookie => ({
+        ...this.describeCookie(cookie, pageUrl),
+        // The test window shares the browser profile, so only cookies this load wrote are its own
+        setOnLoad: this.wasSetOnLoad(cookie, capture)
+      }));
+      
+      const results = {
+        // With consent already stored, nothing on this load is "before consent"
+        consentState: before.consentCookie ? 'stored' : 'not_given',
+        consentCookie: before.consentCookie,
+        banner: banner,
+        cookies: cookies,
+        storage: storage,
+        thirdParties: thirdParties,
+        requestCount: capture.requests.length,
+        captureError: capture.error,
+        issues: []
+      };
+      
+      results.issues.push(...this.auditCookies(cookies));
+      
+      const existingTracking = cookies.filter(cookie => cookie.tracking && !cookie.setOnLoad);
+      if (existingTracking.length > 0) {
+        results.issues.push({
+          type: 'existing_tracking_cookies',
+          severity: 'info',
+          cookies: existingTracking.map(cookie => `${cookie.name} (${cookie.domain})`),
+          message: `${existingTracking.length} tracking cookie(s) were already in the browser profile and were not set by this load: ${existingTracking.slice(0, 5).map(cookie => cookie.name).join(', ')}${existingTracking.length > 5 ? '…' : ''}`
+        });
+      }
+      
+      if (results.consentState === 'stored') {
+        results.issues.push({
+          type: 'consent_already_stored',
+          severity: 'info',
+          cookie: before.consentCookie,
+          message: `A stored consent cookie (${before.consentCookie}) was found, so behaviour before consent could not be tested`
+        });
+      } else {
+        results.issues.push(...this.auditPreConsent(results));
+      }
+      
+      const penalties = { high: 15, medium: 7, low: 2 };
+      const score = results.issues.reduce((total, issue) => total - (penalties[issue.severity] || 0), 100);
+      results.score = Math.max(0, score);
+      
+      return results;
+    
+    } catch (error) {
+      console.error('Privacy analysis error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        cookies: [],
+        thirdParties: [],
+        issues: []
+      };
+    }
+  }
+
+  async getConsentState(tabId, pageUrl) {
+    // Read through the debugger so HttpOnly consent cookies count too, scoped to
+    // the page so consent stored for other sites in the profile does not count
+    try {
+      await chrome.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      return { consentCookie: null };
+    }
+    
+    try {
+      const { cookies } = await chrome.debugger.sendCommand({ tabId }, 'Network.getCookies', { urls: [pageUrl] });
+      const match = cookies.find(cookie => this.consentCookies.some(pattern => pattern.test(cookie.name)));
+      return { consentCookie: match?.name || null };
+    } catch (error) {
+      return { consentCookie: null };
+    } finally {
+      await chrome.debugger.detach({ tabId }).catch(() => {});
+    }
+  }
+
+  async captureLoad(tabId, pageUrl) {
+    // Reload under the debugger: nobody has touched the banner on a fresh load
+    const requests = [];
+    const requestUrls = new Map();
+    const setCookieHeaders = [];
+    let onLoad;
+    const loaded = new Promise(resolve => { onLoad = resolve; });
+    
+    const onEvent = (source, method, params) => {
+      if (source.tabId !== tabId) return;
+      
+      if (method === 'Network.requestWillBeSent') {
+        requestUrls.set(params.requestId, params.request.url);
+      }
+      
+      if (method === 'Network.responseReceivedExtraInfo') {
+        // Raw response headers, including the Set-Cookie lines the page never sees
+        const header = Object.entries(params.headers || {}).find(([name]) => name.toLowerCase() === 'set-cookie');
+        if (header) setCookieHeaders.push({ requestId: params.requestId, value: header[1] });
+      } else if (method === 'Network.requestWillBeSent' && /^(https?|wss?):/.test(params.request.url)) {
+        requests.push({
+          url: params.request.url,
+          resourceType: params.type,
+          initiator: params.initiator?.url || params.initiator?.stack?.callFrames?.[0]?.url || null,
+          time: params.timestamp
+        });
+      } else if (method === 'Page.loadEventFired') {
+        onLoad();
+      }
+    };
+    
+    chrome.debugger.onEvent.addListener(onEvent);
+    try {
+      await chrome.debugger.attach({ tabId }, '1.3');
+    } catch (error) {
+      chrome.debugger.onEvent.removeListener(onEvent);
+      return { error: `Could not attach debugger: ${error.message}`, requests: [], cookies: [], setCookies: [], scriptCookies: [] };
+    }
+    
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'Network.enable');
+      await chrome.debugger.sendCommand({ tabId }, 'Page.enable');
+      await chrome.debugger.sendCommand({ tabId }, 'Page.addScriptToEvaluateOnNewDocument', { source: this.cookieWriteRecorder });
+      await chrome.debugger.sendCommand({ tabId }, 'Page.reload', { ignoreCache: true });
+      
+      await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, this.loadTimeout))]);
+      await new Promise(resolve => setTimeout(resolve, this.settleDelay));
+      
+      const { result } = await chrome.debugger.sendCommand({ tabId }, 'Runtime.evaluate', {
+        expression: 'JSON.stringify(window.__qaCookieWrites || [])',
+        returnByValue: true
+      }).catch(() => ({}));
+      const scriptCookies = JSON.parse(result?.value || '[]');
+      
+      const setCookies = setCookieHeaders.flatMap(({ requestId, value }) => {
+        let host = null;
+        try {
+          host = new URL(requestUrls.get(requestId)).hostname;
+        } catch (e) {
+          // Keep the cookie, matched by its own Domain attribute only
+        }
+        return value.split('\n').map(line => ({
+          name: line.split(';')[0].split('=')[0].trim(),
+          domain: (line.match(/;\s*domain=([^;]+)/i)?.[1] || host || '').trim().replace(/^\./, '').toLowerCase()
+        }));
+      });
+      
+      // Cookies for the page and every origin it talked to, third-party ones included
+      const origins = [...new Set([pageUrl, ...requests.map(request => request.url)].map(url => {
+        try {
+          return new URL(url).origin;
+        } catch (e) {
+          return null;
+        }
+      }).filter(Boolean))];
+      const { cookies } = await chrome.debugger.sendCommand({ tabId }, 'Network.getCookies', { urls: origins });
+      
+      return { requests, cookies, setCookies, scriptCookies, pageHost: new URL(pageUrl).hostname };
+    
+    } finally {
+      chrome.debugger.onEvent.removeListener(onEvent);
+      await chrome.debugger.detach({ tabId }).catch(() => {});
+    }
+  }
+
+  async getStorage(tabId) {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        // Names and sizes only; values can hold personal data
+        const read = area => {
+          try {
+            return Object.keys(area).map(key => ({ key, size: (area.getItem(key) || '').length }));
+          } catch (e) {
+            return [];
+          }
+        };
+        return {
+          localStorage: read(window.localStorage),
+          sessionStorage: read(window.sessionStorage)
+        };
+      }
+    });
+    
+    return result.result;
+  }
+
+  async detectBanner(tabId) {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        const providers = {
+          OneTrust: '#onetrust-banner-sdk, #onetrust-consent-sdk',
+          Cookiebot: '#CybotCookiebotDialog',
+          Usercentrics: '#usercentrics-root, #usercentrics-cmp-ui',
+          Didomi: '#didomi-host, #didomi-popup',
+          CookieYes: '.cky-consent-container',
+          Complianz: '#cmplz-cookiebanner-container, .cmplz-cookiebanner',
+          iubenda: '.iubenda-cs-container, #iubenda-cs-banner',
+          TrustArc: '#truste-consent-track, #consent_blackbar',
+          'Cookie Notice': '#cookie-notice, #cookie-law-info-bar',
+          Osano: '.osano-cm-window',
+          'Cookie Consent': '.cc-window, .cc-banner'
+        };
+        const isVisible = el => {
+          const rect = el.getBoundingClientRect();
+          const style = window.getComputedStyle(el);
+          return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden';
+        };
+        
+        for (const [provider, selector] of Object.entries(providers)) {
+          const el = document.querySelector(selector);
+          if (el) return { detected: true, provider, visible: isVisible(el) };
+        }
+        
+        // Unbranded banners: a fixed overlay that talks about cookies and has a button
+        const candidate = [...document.querySelectorAll('div, section, aside, dialog, [role="dialog"]')].find(el => {
+          const position = window.getComputedStyle(el).position;
+          return (position === 'fixed' || position === 'sticky') &&
+            /cookie|consent|gdpr|privacy/i.test(el.textContent.substring(0, 2000)) &&
+            el.querySelector('button, [role="button"], a[href="#"]') &&
+            isVisible(el);
+        });
+        
+        return candidate
+          ? { detected: true, provider: 'custom', visible: true }
+          : { detected: false, provider: null, visible: false };
+      }
+    });
+    
+    return result.result;
+  }
+
+  groupByVendor(requests, pageUrl) {
+    const groups = new Map();
+    
+    requests.filter(request => this.vendors.isThirdParty(request.url, pageUrl)).forEach(request => {
+      const vendor = this.vendors.getVendor(request.url);
+      if (!vendor) return;
+      
+      if (!groups.has(vendor.vendor)) {
+        groups.set(vendor.vendor, {
+          vendor: vendor.vendor,
+          category: vendor.category,
+          tracking: this.vendors.isTracking(vendor),
+          domains: new Set(),
+          requestCount: 0,
+          resourceTypes: new Set(),
+          sampleUrls: []
+        });
+      }
+      
+      const group = groups.get(vendor.vendor);
+      group.domains.add(new URL(request.url).hostname);
+      group.resourceTypes.add(request.resourceType);
+      group.requestCount++;
+      if (group.sampleUrls.length < 3) group.sampleUrls.push(request.url);
+    });
+    
+    // Sets become arrays so the results survive storage
+    return [...groups.values()].map(group => ({
+      ...group,
+      domains: [...group.domains],
+      resourceTypes: [...group.resourceTypes]
+    }));
+  }
+
+  wasSetOnLoad(cookie, capture) {
+    const domain = cookie.domain.replace(/^\./, '').toLowerCase();
+    const matches = host => !!host && (host === domain || host.endsWith(`.${domain}`) || domain.endsWith(`.${host}`));
+    
+    return (capture.setCookies || []).some(set => set.name === cookie.name && matches(set.domain)) ||
+      ((capture.scriptCookies || []).includes(cookie.name) && matches(capture.pageHost));
+  }
+
+  describeCookie(cookie, pageUrl) {
+    const domain = cookie.domain.replace(/^\./, '');
+    const vendor = this.vendors.getVendor(`https://${domain}/`);
+    const lifetime = cookie.session || cookie.expires <= 0 ? null : Math.round(cookie.expires - Date.now() / 1000);
+    
+    return {
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.session || cookie.expires <= 0 ? 'session' : new Date(cookie.expires * 1000).toISOString(),
+      lifetimeDays: lifetime === null ? null : Math.round(lifetime / 86400),
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite || 'unset',
+      thirdParty: this.vendors.isThirdParty(`https://${domain}/`, pageUrl),
+      vendor: vendor?.category !== 'unknown' ? vendor?.vendor : null,
+      tracking: this.trackingCookies.some(pattern => pattern.test(cookie.name)) || this.vendors.isTracking(vendor)
+    };
+  }
+
+  auditCookies(cookies) {
+    const issues = [];
+    
+    cookies.forEach(cookie => {
+      if (cookie.sameSite === 'None' && !cookie.secure) {
+        issues.push({
+          type: 'cookie_samesite_none_insecure',
+          severity: 'medium',
+          cookie: cookie.name,
+          domain: cookie.domain,
+          message: `Cookie ${cookie.name} (${cookie.domain}) is SameSite=None without Secure, so browsers reject it`
+        });
+      }
+      
+      // Session identifiers readable from scripts can be stolen through XSS
+      if (!cookie.thirdParty && !cookie.httpOnly && /sess|sid$|^sid|auth|token/i.test(cookie.name)) {
+        issues.push({
+          type: 'cookie_not_httponly',
+          severity: 'medium',
+          cookie: cookie.name,
+          domain: cookie.domain,
+          message: `Cookie ${cookie.name} looks like a session cookie but is not HttpOnly`
+        });
+      }
+      
+      if (!cookie.thirdParty && !cookie.secure && !cookie.tracking) {
+        issues.push({
+          type: 'cookie_not_secure',
+          severity: 'low',
+          cookie: cookie.name,
+          domain: cookie.domain,
+          message: `Cookie ${cookie.name} is not marked Secure`
+        });
+      }
+      
+      if (cookie.tracking && cookie.lifetimeDays !== null && cookie.lifetimeDays * 86400 > this.maxCookieLifetime) {
+        issues.push({
+          type: 'cookie_long_lifetime',
+          severity: 'low',
+          cookie: cookie.name,
+          domain: cookie.domain,
+          lifetimeDays: cookie.lifetimeDays,
+          message: `Tracking cookie ${cookie.name} lasts ${cookie.lifetimeDays} days (more than 13 months)`
+        });
+      }
+    });
+    
+    return issues;
+  }
+
+  auditPreConsent(results) {
+    const issues = [];
+    const hasBanner = results.banner?.detected;
+    // A banner that does not hold trackers back is worse than having none
+    const severity = hasBanner ? 'high' : 'medium';
+    const when = hasBanner ? 'before the consent banner was answered' : 'and no consent banner was found';
+    
+    results.thirdParties.filter(group => group.tracking).forEach(group => {
+      issues.push({
+        type: 'pre_consent_tracker',
+        severity: severity,
+        vendor: group.vendor,
+        category: group.category,
+        domains: group.domains,
+        requestCount: group.requestCount,
+        message: `${group.vendor} (${group.category.replace(/_/g, ' ')}) made ${group.requestCount} request(s) ${when}`
+      });
+    });
+    
+    const trackingCookies = results.cookies.filter(cookie => cookie.tracking && cookie.setOnLoad);
+    if (trackingCookies.length > 0) {
+      issues.push({
+        type: 'pre_consent_cookie',
+        severity: severity,
+        cookies: trackingCookies.map(cookie => `${cookie.name} (${cookie.domain})`),
+        message: `${trackingCookies.length} tracking cookie(s) set ${when}: ${trackingCookies.slice(0, 5).map(cookie => cookie.name).join(', ')}${trackingCookies.length > 5 ? '…' : ''}`
+      });
+    }
+    
+    const trackingStorage = [...(results.storage?.localStorage || []), ...(results.storage?.sessionStorage || [])]
+      .filter(entry => /^(_hj|amplitude|amp_|mp_|ajs_|_ga|_fb|_uet|_clck|_clsk|_pin|hubspot|__hs|_tt)/i.test(entry.key));
+    if (trackingStorage.length > 0) {
+      issues.push({
+        type: 'pre_consent_storage',
+        severity: hasBanner ? 'medium' : 'low',
+        keys: trackingStorage.map(entry => entry.key),
+        message: `Tracker storage written ${when}: ${trackingStorage.slice(0, 5).map(entry => entry.key).join(', ')}`
+      });
+    }
+    
+    if (!hasBanner && issues.length > 0) {
+      issues.push({
+        type: 'consent_banner_missing',
+        severity: 'medium',
+        message: 'The page tracks visitors but no consent banner was detected'
+      });
+    }
+    
+    return issues;
+  }
+}
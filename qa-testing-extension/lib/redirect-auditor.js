@@ -0,0 +1,236 @@
+// Redirect chain and canonical consistency auditor module
+export class RedirectAuditor {
+  constructor(linkChecker) {
+    // Shares the link checker's cache, so links are never fetched twice
+    this.linkChecker = linkChecker;
+    this.maxHops = 2;
+    this.maxLinksToAudit = 50;
+  }
+
+  async audit(pageUrl, seoData = {}) {
+    try {
+      const results = {
+        page: null,
+        canonical: null,
+        chains: [],
+        issues: []
+      };
+      
+      // The tested URL itself
+      const pageCheck = await this.linkChecker.checkLink({ href: pageUrl });
+      results.page = this.describeChain(pageUrl, pageCheck);
+      results.issues.push(...this.auditChain(results.page, 'page'));
+      
+      // Internal links on the page
+      const seen = new Set([this.linkChecker.getCacheKey(pageUrl)]);
+      const internalLinks = (seoData.links?.internal || []).filter(link => {
+        const key = this.linkChecker.getCacheKey(link.href);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }).slice(0, this.maxLinksToAudit);
+      
+      const linkChecks = await Promise.all(
+        internalLinks.map(link => this.linkChecker.checkLink(link))
+      );
+      
+      linkChecks.forEach((check, index) => {
+        const chain = this.describeChain(internalLinks[index].href, check);
+        if (chain.hops.length === 0 && !chain.loop) return;
+        
+        chain.text = internalLinks[index].text;
+        results.chains.push(chain);
+        results.issues.push(...this.auditChain(chain, 'link'));
+      });
+      
+      // The canonical should be where the page ends up, and load directly
+      if (seoData.canonical) {
+        results.canonical = await this.auditCanonical(seoData.canonical, results.page);
+        results.issues.push(...results.canonical.issues);
+      }
+      
+      const penalties = { high: 10, medium: 5, low: 2 };
+      const score = results.issues.reduce((total, issue) => total - (penalties[issue.severity] || 0), 100);
+      results.score = Math.max(0, score);
+      
+      return results;
+    
+    } catch (error) {
+      console.error('Redirect audit error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        chains: [],
+        issues: []
+      };
+    }
+  }
+
+  describeChain(url, check) {
+    const hops = check.redirectChain || [];
+    const visited = [url, ...hops.map(hop => hop.location)].map(href => this.stripHash(href));
+    
+    return {
+      url: url,
+      finalUrl: check.finalUrl || hops[hops.length - 1]?.location || url,
+      status: check.status,
+      hops: hops,
+      loop: check.errorType === 'redirect_loop' || new Set(visited).size < visited.length,
+      error: check.error
+    };
+  }
+
+  auditChain(chain, context) {
+    const issues = [];
+    const subject = context === 'page' ? 'Page' : 'Internal link';
+    
+    if (chain.loop) {
+      issues.push({
+        type: 'redirect_loop',
+        severity: 'high',
+        url: chain.url,
+        hops: chain.hops,
+        message: `${subject} redirects in a loop: ${chain.url}`
+      });
+      return issues;
+    }
+    
+    if (chain.hops.length > this.maxHops) {
+      issues.push({
+        type: 'long_redirect_chain',
+        severity: 'medium',
+        url: chain.url,
+        hops: chain.hops,
+        message: `${subject} takes ${chain.hops.length} redirects to reach ${chain.finalUrl}`
+      });
+    }
+    
+    // Scheme and www fixes should happen in one hop, not bounce between variants
+    const canonicalizingHops = chain.hops.filter(hop => this.isCanonicalizingHop(hop));
+    const variants = [chain.url, ...chain.hops.map(hop => hop.location)].map(href => this.getHostVariant(href));
+    const revisitsVariant = variants.some((variant, index) =>
+      index > 1 && variants.slice(0, index - 1).includes(variant) && variants[index - 1] !== variant
+    );
+    
+    if (revisitsVariant || canonicalizingHops.length > 1) {
+      issues.push({
+        type: 'redirect_ping_pong',
+        severity: 'medium',
+        url: chain.url,
+        hops: chain.hops,
+        message: revisitsVariant
+          ? `${subject} bounces between http/https or www variants: ${variants.join(' → ')}`
+          : `${subject} fixes scheme and www in separate redirects: ${variants.join(' → ')}`
+      });
+    }
+    
+    // Permanent moves served as temporary redirects
+    chain.hops.filter(hop => hop.status === 302 || hop.status === 307).forEach(hop => {
+      const canonicalizing = this.isCanonicalizingHop(hop);
+      issues.push({
+        type: 'temporary_redirect',
+        severity: canonicalizing ? 'medium' : 'low',
+        url: hop.url,
+        location: hop.location,
+        status: hop.status,
+        message: canonicalizing
+          ? `${hop.status} used for a permanent ${hop.url} → ${hop.location} redirect (should be ${hop.status === 307 ? 308 : 301})`
+          : `${subject} goes through a temporary ${hop.status} redirect: ${hop.url} → ${hop.location}`
+      });
+    });
+    
+    // Internal links should point straight at the final URL
+    if (context === 'link' && chain.hops.length > 0 && issues.length === 0) {
+      issues.push({
+        type: 'internal_link_redirect',
+        severity: 'low',
+        url: chain.url,
+        finalUrl: chain.finalUrl,
+        message: `Internal link redirects: ${chain.url} → ${chain.finalUrl}`
+      });
+    }
+    
+    return issues;
+  }
+
+  async auditCanonical(canonicalUrl, pageChain) {
+    const check = await this.linkChecker.checkLink({ href: canonicalUrl });
+    const chain = this.describeChain(canonicalUrl, check);
+    const result = {
+      url: canonicalUrl,
+      status: check.status,
+      matchesPage: this.isSameUrl(canonicalUrl, pageChain.finalUrl),
+      issues: []
+    };
+    
+    if (!result.matchesPage) {
+      result.issues.push({
+        type: 'canonical_mismatch',
+        severity: 'medium',
+        canonical: canonicalUrl,
+        finalUrl: pageChain.finalUrl,
+        message: `Canonical ${canonicalUrl} does not match the page's final URL ${pageChain.finalUrl}`
+      });
+    }
+    
+    if (chain.hops.length > 0 || chain.loop) {
+      result.issues.push({
+        type: 'canonical_redirects',
+        severity: 'high',
+        canonical: canonicalUrl,
+        finalUrl: chain.finalUrl,
+        message: `Canonical URL redirects to ${chain.finalUrl}`
+      });
+    } else if (!check.throttled && (check.error || check.status >= 400)) {
+      result.issues.push({
+        type: 'canonical_unreachable',
+        severity: 'high',
+        canonical: canonicalUrl,
+        status: check.status,
+        message: `Canonical URL ${check.error ? `could not be loaded (${check.errorType})` : `returned ${check.status}`}`
+      });
+    }
+    
+    return result;
+  }
+
+  isCanonicalizingHop(hop) {
+    // Same path; only scheme, www prefix or trailing slash differ
+    try {
+      const from = new URL(hop.url);
+      const to = new URL(hop.location);
+      const bareHost = host => host.replace(/^www\./, '');
+      const barePath = path => path.replace(/\/$/, '') || '/';
+      
+      return bareHost(from.hostname) === bareHost(to.hostname) &&
+        barePath(from.pathname) === barePath(to.pathname) &&
+        from.search === to.search;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  getHostVariant(href) {
+    try {
+      const url = new URL(href);
+      return `${url.protocol}//${url.hostname}`;
+    } catch (e) {
+      return href;
+    }
+  }
+
+  stripHash(href) {
+    try {
+      const url = new URL(href);
+      url.hash = '';
+      return url.href;
+    } catch (e) {
+      return href;
+    }
+  }
+
+  isSameUrl(a, b) {
+    const normalize = href => this.stripHash(href).replace(/\/$/, '');
+    return normalize(a) === normalize(b);
+  }
+}
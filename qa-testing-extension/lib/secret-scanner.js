@@ -0,0 +1,363 @@
+// Secret scanner module (credentials in page source, bundles and source maps)
+export class SecretScanner {
+  constructor(linkChecker, options = {}) {
+    // Bundle and probe fetches share the link checker's per-host rate limits
+    this.linkChecker = linkChecker;
+    // Writing to a client's database needs explicit consent, so it is off unless enabled
+    this.firebaseWriteProbe = options.firebaseWriteProbe || false;
+    this.timeout = 10000;
+    this.maxBundlesToScan = 25;
+    this.maxFileLength = 5000000;
+    this.maxFindingsPerFile = 20;
+    this.minEntropy = 3.5;
+    
+    // Per-run caches: bundles are usually shared by every page of a site
+    this.files = new Map();
+    this.reportedFiles = new Set();
+    this.firebaseProbes = new Map();
+    
+    this.patterns = [
+      {
+        type: 'aws_access_key',
+        label: 'AWS access key ID',
+        severity: 'high',
+        regex: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/g
+      },
+      {
+        type: 'aws_secret_key',
+        label: 'AWS secret access key',
+        severity: 'high',
+        regex: /aws.{0,20}?(?:secret|private).{0,20}?['"`]([A-Za-z0-9/+=]{40})['"`]/gi
+      },
+      {
+        type: 'stripe_secret_key',
+        label: 'Stripe secret key',
+        severity: 'high',
+        regex: /\b((?:sk|rk)_(?:live|test)_[0-9a-zA-Z]{24,})\b/g
+      },
+      {
+        type: 'private_key',
+        label: 'Private key',
+        severity: 'high',
+        regex: /(-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED )?PRIVATE KEY-----)/g
+      },
+      {
+        type: 'jwt',
+        label: 'JSON Web Token',
+        severity: 'high',
+        regex: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+      },
+      {
+        type: 'google_api_key',
+        label: 'Google API key',
+        severity: 'low',
+        regex: /\b(AIza[0-9A-Za-z_-]{35})\b/g
+      },
+      {
+        // Anything named like a secret whose value looks random
+        type: 'high_entropy_secret',
+        label: 'Possible secret',
+        severity: 'medium',
+        entropy: true,
+        regex: /(?:secret|passw(?:or)?d|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret|private[_-]?key)['"]?\s*[:=]\s*['"`]([^'"`\s]{16,200})['"`]/gi
+      }
+    ];
+  }
+
+  async scan(pageUrl, source) {
+    const results = {
+      scannedFiles: [],
+      secrets: [],
+      sourceMaps: []
+    };
+    
+    // The served document, so line numbers match what the developer can open
+    const page = await this.fetchText(pageUrl);
+    if (!page.error && page.status < 400) {
+      results.secrets.push(...this.scanText(page.text, pageUrl));
+    } else {
+      // Pages the extension cannot fetch (e.g. behind a login) fall back to the rendered DOM
+      results.secrets.push(...this.scanText(source.html || '', pageUrl).map(secret => ({
+        ...secret,
+        line: null,
+        column: null,
+        rendered: true,
+        message: `${secret.label} ${secret.redacted} in the rendered DOM of ${pageUrl}`
+      })));
+    }
+    results.scannedFiles.push(pageUrl);
+    
+    const origin = new URL(pageUrl).origin;
+    const bundles = [...new Set(source.scripts || [])]
+      .filter(src => this.isSameOrigin(src, origin))
+      .slice(0, this.maxBundlesToScan);
+    
+    const files = await Promise.all(bundles.map(src => this.getFile(src)));
+    files.forEach(file => {
+      if (file.error) return;
+      results.scannedFiles.push(file.url);
+      
+      // Shared bundles are reported on the first page that loads them
+      if (this.reportedFiles.has(file.url)) return;
+      this.reportedFiles.add(file.url);
+      results.secrets.push(...file.secrets.map(secret => ({ ...secret })));
+      if (file.sourceMap) results.sourceMaps.push({ ...file.sourceMap });
+    });
+    
+    // A Firebase config is public by design; open database rules are not
+    const databases = [...new Set(results.secrets
+      .filter(secret => secret.type === 'firebase_config')
+      .map(secret => secret.databaseURL))];
+    const probes = await Promise.all(databases.map(url => this.probeFirebase(url)));
+    probes.forEach(probe => {
+      results.secrets.filter(secret => secret.databaseURL === probe.databaseURL).forEach(secret => {
+        const location = secret.line ? `${secret.file}:${secret.line}` : secret.file;
+        secret.rules = probe;
+        if (probe.writable) {
+          secret.severity = 'high';
+          secret.message = `Firebase database ${probe.databaseURL} accepts unauthenticated writes (${location})`;
+        } else if (probe.readable) {
+          secret.severity = 'medium';
+          secret.message = `Firebase database ${probe.databaseURL} is publicly readable (${location})`;
+        } else {
+          secret.message = `Firebase config for ${probe.databaseURL} (${location}); the database is not publicly readable` +
+            (probe.writable === null ? ', write access was not probed' : '');
+        }
+      });
+    });
+    
+    return results;
+  }
+
+  getFile(url) {
+    if (!this.files.has(url)) {
+      this.files.set(url, this.scanFile(url));
+    }
+    return this.files.get(url);
+  }
+
+  async scanFile(url) {
+    const response = await this.fetchText(url);
+    if (response.error) return { url, error: response.error };
+    
+    return {
+      url: url,
+      secrets: response.status < 400 ? this.scanText(response.text, url) : [],
+      sourceMap: await this.checkSourceMap(url, response)
+    };
+  }
+
+  scanText(text, file) {
+    const findings = [];
+    const seen = new Set();
+    const lineStarts = this.getLineStarts(text);
+    
+    const add = (finding, index) => {
+      // Specific patterns run first, so the generic one never repeats them
+      if (seen.has(finding.value) || findings.length >= this.maxFindingsPerFile) return;
+      seen.add(finding.value);
+      
+      const position = this.getPosition(lineStarts, index);
+      const redacted = this.redact(finding.value);
+      delete finding.value;
+      findings.push({
+        ...finding,
+        redacted: redacted,
+        file: file,
+        line: position.line,
+        column: position.column,
+        message: finding.message || `${finding.label} ${redacted} in ${file}:${position.line}:${position.column}`
+      });
+    };
+    
+    this.patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern.regex)) {
+        const value = match[1];
+        if (pattern.entropy && (this.getEntropy(value) < this.minEntropy || this.isPlaceholder(value))) continue;
+        
+        const finding = { type: pattern.type, label: pattern.label, severity: pattern.severity, value: value };
+        
+        if (pattern.type === 'stripe_secret_key' && value.includes('_test_')) {
+          finding.severity = 'medium';
+        }
+        
+        if (pattern.type === 'jwt') {
+          const claims = this.decodeJwt(value);
+          // Public client tokens (e.g. Supabase anon keys) are meant to ship
+          if (!claims || claims.role === 'anon') continue;
+          finding.claims = {
+            role: claims.role,
+            iss: claims.iss,
+            exp: claims.exp,
+            expired: claims.exp ? claims.exp * 1000 < Date.now() : false
+          };
+          if (finding.claims.expired) finding.severity = 'low';
+        }
+        
+        add(finding, match.index + match[0].indexOf(value));
+      }
+    });
+    
+    const firebasePattern = /databaseURL\s*['"]?\s*:\s*['"`](https:\/\/[a-z0-9-]+\.(?:firebaseio\.com|[a-z0-9-]+\.firebasedatabase\.app))\/?['"`]/gi;
+    for (const match of text.matchAll(firebasePattern)) {
+      add({
+        type: 'firebase_config',
+        label: 'Firebase config',
+        severity: 'low',
+        databaseURL: match[1],
+        value: match[1]
+      }, match.index);
+    }
+    
+    return findings;
+  }
+
+  async checkSourceMap(url, response) {
+    // Bundles announce their map in a trailing comment or a header
+    const commentIndex = response.text.lastIndexOf('sourceMappingURL=');
+    const comment = commentIndex !== -1 && response.text.slice(commentIndex).match(/^sourceMappingURL=(\S+)\s*(\*\/)?\s*$/);
+    const reference = comment?.[1] || response.sourceMapHeader;
+    
+    if (reference?.startsWith('data:')) {
+      return {
+        type: 'source_map',
+        severity: 'low',
+        file: url,
+        inline: true,
+        message: `Inline source map embedded in ${url}`
+      };
+    }
+    
+    let mapUrl;
+    try {
+      mapUrl = new URL(reference || `${url.split(/[?#]/)[0]}.map`, url).href;
+    } catch (e) {
+      return null;
+    }
+    
+    const map = await this.fetchText(mapUrl);
+    // Servers that answer every path with HTML must not count as exposing maps
+    const isSourceMap = !map.error && map.status === 200 && /"mappings"\s*:/.test(map.text.slice(0, 100000));
+    if (!isSourceMap) return null;
+    
+    return {
+      type: 'source_map',
+      severity: 'medium',
+      file: url,
+      url: mapUrl,
+      referenced: !!reference,
+      hasSourcesContent: /"sourcesContent"\s*:/.test(map.text),
+      message: `Source map is publicly reachable: ${mapUrl}`
+    };
+  }
+
+  probeFirebase(databaseURL) {
+    if (!this.firebaseProbes.has(databaseURL)) {
+      this.firebaseProbes.set(databaseURL, this.requestFirebaseRules(databaseURL));
+    }
+    return this.firebaseProbes.get(databaseURL);
+  }
+
+  async requestFirebaseRules(databaseURL) {
+    // null means not probed
+    const result = { databaseURL: databaseURL, readable: false, writable: null };
+    
+    const read = await this.fetchText(`${databaseURL}/.json?shallow=true`);
+    result.readable = !read.error && read.status === 200;
+    if (!this.firebaseWriteProbe) return result;
+    
+    // Writing null to a path that does not exist changes nothing but still runs the .write rules
+    const token = Math.random().toString(36).slice(2, 12);
+    const write = await this.fetchText(`${databaseURL}/qa-write-probe-${token}.json`, { method: 'PUT', body: 'null' });
+    result.writable = !write.error && write.status === 200;
+    
+    return result;
+  }
+
+  fetchText(url, options = {}) {
+    return this.linkChecker.schedule(url, async () => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      
+      try {
+        const response = await fetch(url, {
+          ...options,
+          signal: controller.signal,
+          cache: 'no-store',
+          credentials: 'omit'
+        });
+        
+        return {
+          status: response.status,
+          sourceMapHeader: response.headers.get('sourcemap') || response.headers.get('x-sourcemap'),
+          text: (await response.text()).substring(0, this.maxFileLength)
+        };
+      
+      } catch (error) {
+        return {
+          error: controller.signal.aborted ? `Timed out after ${this.timeout}ms` : error.message
+        };
+      
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    });
+  }
+
+  decodeJwt(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  getEntropy(value) {
+    const counts = {};
+    for (const char of value) counts[char] = (counts[char] || 0) + 1;
+    
+    return Object.values(counts).reduce((entropy, count) => {
+      const p = count / value.length;
+      return entropy - p * Math.log2(p);
+    }, 0);
+  }
+
+  isPlaceholder(value) {
+    return /^(x+|\*+|your[_-]|<|\$\{|%|process\.env)/i.test(value) || /(example|placeholder|changeme)/i.test(value);
+  }
+
+  redact(value) {
+    // Enough to recognise which key it is, never enough to use it
+    if (value.length <= 12) return `${value.slice(0, 2)}${'*'.repeat(value.length - 2)}`;
+    return `${value.slice(0, 6)}${'*'.repeat(Math.min(value.length - 10, 20))}${value.slice(-4)}`;
+  }
+
+  getLineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+      starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  getPosition(lineStarts, index) {
+    // Binary search keeps this cheap on multi-megabyte bundles
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 };
+  }
+
+  isSameOrigin(href, origin) {
+    try {
+      return new URL(href).origin === origin;
+    } catch (e) {
+      return false;
+    }
+  }
+}
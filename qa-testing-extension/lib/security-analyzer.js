@@ -0,0 +1,486 @@
+// Security response header analyzer module
+export class SecurityAnalyzer {
+  constructor(linkChecker) {
+    // The document fetch shares the link checker's per-host rate limits
+    this.linkChecker = linkChecker;
+    this.timeout = 10000;
+    this.minHstsMaxAge = 15552000; // 180 days
+    this.preloadMaxAge = 31536000; // 1 year
+    
+    // Points per header; the score is the share earned
+    this.weights = {
+      csp: 25,
+      hsts: 15,
+      contentTypeOptions: 10,
+      referrerPolicy: 10,
+      permissionsPolicy: 10,
+      framing: 15,
+      crossOriginIsolation: 15
+    };
+    
+    this.powerfulFeatures = [
+      'camera', 'microphone', 'geolocation', 'payment', 'usb', 'serial', 'hid',
+      'bluetooth', 'display-capture', 'midi', 'clipboard-read', 'publickey-credentials-get'
+    ];
+  }
+
+  async analyze(tabId, pageUrl) {
+    try {
+      const response = await this.fetchHeaders(pageUrl);
+      if (response.error) {
+        return {
+          error: response.error,
+          score: 0,
+          headers: {},
+          grades: {},
+          issues: []
+        };
+      }
+      
+      // A <meta> CSP still applies, minus frame-ancestors and reporting
+      const metaCsp = await this.getMetaCsp(tabId);
+      const headers = response.headers;
+      const isHttps = new URL(response.finalUrl).protocol === 'https:';
+      
+      const checks = {
+        csp: this.checkCsp(headers['content-security-policy'], headers['content-security-policy-report-only'], metaCsp),
+        hsts: this.checkHsts(headers['strict-transport-security'], isHttps),
+        contentTypeOptions: this.checkContentTypeOptions(headers['x-content-type-options']),
+        referrerPolicy: this.checkReferrerPolicy(headers['referrer-policy']),
+        permissionsPolicy: this.checkPermissionsPolicy(headers['permissions-policy'], headers['feature-policy']),
+        framing: this.checkFraming(headers['content-security-policy'], headers['x-frame-options']),
+        crossOriginIsolation: this.checkCrossOriginIsolation(
+          headers['cross-origin-opener-policy'],
+          headers['cross-origin-embedder-policy']
+        )
+      };
+      
+      const grades = {};
+      const issues = [];
+      let earned = 0;
+      Object.entries(checks).forEach(([key, check]) => {
+        grades[key] = check.grade;
+        earned += this.weights[key] * check.points;
+        issues.push(...check.issues);
+      });
+      
+      return {
+        url: pageUrl,
+        finalUrl: response.finalUrl,
+        status: response.status,
+        headers: headers,
+        metaCsp: metaCsp,
+        grades: grades,
+        issues: issues,
+        score: Math.round(earned / Object.values(this.weights).reduce((total, weight) => total + weight, 0) * 100)
+      };
+    
+    } catch (error) {
+      console.error('Security header analysis error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        headers: {},
+        grades: {},
+        issues: []
+      };
+    }
+  }
+
+  fetchHeaders(url) {
+    return this.linkChecker.schedule(url, async () => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      
+      try {
+        const response = await fetch(url, {
+          signal: controller.signal,
+          redirect: 'follow',
+          cache: 'no-store',
+          credentials: 'omit'
+        });
+        const headers = {};
+        response.headers.forEach((value, name) => {
+          headers[name.toLowerCase()] = value;
+        });
+        response.body?.cancel().catch(() => {});
+        
+        return { status: response.status, finalUrl: response.url || url, headers: headers };
+      
+      } catch (error) {
+        return {
+          error: controller.signal.aborted ? `Timed out after ${this.timeout}ms` : error.message
+        };
+      
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    });
+  }
+
+  async getMetaCsp(tabId) {
+    try {
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => [...document.querySelectorAll('meta[http-equiv="Content-Security-Policy" i]')]
+          .map(meta => meta.content)
+          .join('; ')
+      });
+      return result.result || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  parseCsp(policy) {
+    const directives = {};
+    (policy || '').split(/[;,]/).forEach(part => {
+      const [name, ...values] = part.trim().split(/\s+/);
+      // The first occurrence of a directive wins
+      if (name && !directives[name.toLowerCase()]) {
+        directives[name.toLowerCase()] = values;
+      }
+    });
+    return directives;
+  }
+
+  checkCsp(headerPolicy, reportOnlyPolicy, metaPolicy) {
+    const issues = [];
+    const policy = headerPolicy || metaPolicy;
+    
+    if (!policy) {
+      issues.push({
+        type: reportOnlyPolicy ? 'csp_report_only' : 'csp_missing',
+        severity: 'high',
+        header: 'Content-Security-Policy',
+        message: reportOnlyPolicy
+          ? 'Content-Security-Policy is only sent as Report-Only, so nothing is enforced'
+          : 'No Content-Security-Policy is set'
+      });
+      return { grade: 'fail', points: 0, issues };
+    }
+    
+    const directives = this.parseCsp(policy);
+    const scriptSources = directives['script-src'] || directives['default-src'];
+    const scriptDirective = directives['script-src'] ? 'script-src' : 'default-src';
+    
+    if (!scriptSources) {
+      issues.push({
+        type: 'csp_no_script_policy',
+        severity: 'high',
+        header: 'Content-Security-Policy',
+        message: 'Content-Security-Policy has neither script-src nor default-src, so scripts are unrestricted'
+      });
+    } else {
+      // Nonces, hashes and strict-dynamic make browsers ignore unsafe-inline
+      const hasNonceOrHash = scriptSources.some(source => /^'(nonce-|sha(256|384|512)-|strict-dynamic')/.test(source));
+      if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash) {
+        issues.push({
+          type: 'csp_unsafe_inline',
+          severity: 'medium',
+          header: 'Content-Security-Policy',
+          directive: scriptDirective,
+          message: `CSP ${scriptDirective} allows 'unsafe-inline', which permits injected inline scripts`
+        });
+      }
+      if (scriptSources.includes("'unsafe-eval'")) {
+        issues.push({
+          type: 'csp_unsafe_eval',
+          severity: 'medium',
+          header: 'Content-Security-Policy',
+          directive: scriptDirective,
+          message: `CSP ${scriptDirective} allows 'unsafe-eval'`
+        });
+      }
+    }
+    
+    // Wildcards and bare schemes let any host serve scripts or plugins
+    ['default-src', 'script-src', 'object-src'].forEach(name => {
+      const wildcards = (directives[name] || []).filter(source =>
+        source === '*' || /^(https?|data|blob):$/i.test(source) || /^(https?:\/\/)?\*(\.[a-z]+)?$/i.test(source)
+      );
+      if (wildcards.length > 0) {
+        issues.push({
+          type: 'csp_wildcard',
+          severity: 'medium',
+          header: 'Content-Security-Policy',
+          directive: name,
+          sources: wildcards,
+          message: `CSP ${name} allows any source: ${wildcards.join(' ')}`
+        });
+      }
+    });
+    
+    const objectSources = directives['object-src'] || directives['default-src'];
+    if (!objectSources || !objectSources.includes("'none'")) {
+      issues.push({
+        type: 'csp_object_src',
+        severity: 'low',
+        header: 'Content-Security-Policy',
+        message: "CSP does not set object-src 'none'"
+      });
+    }
+    
+    if (!directives['base-uri']) {
+      issues.push({
+        type: 'csp_base_uri',
+        severity: 'low',
+        header: 'Content-Security-Policy',
+        message: 'CSP does not restrict base-uri'
+      });
+    }
+    
+    return this.grade(issues);
+  }
+
+  checkHsts(value, isHttps) {
+    const issues = [];
+    
+    if (!isHttps) {
+      issues.push({
+        type: 'not_https',
+        severity: 'high',
+        header: 'Strict-Transport-Security',
+        message: 'Page is not served over HTTPS'
+      });
+      return { grade: 'fail', points: 0, issues };
+    }
+    
+    if (!value) {
+      issues.push({
+        type: 'hsts_missing',
+        severity: 'high',
+        header: 'Strict-Transport-Security',
+        message: 'No Strict-Transport-Security header is set'
+      });
+      return { grade: 'fail', points: 0, issues };
+    }
+    
+    const maxAge = parseInt(value.match(/max-age\s*=\s*"?(\d+)/i)?.[1] ?? '0', 10);
+    const includeSubDomains = /includesubdomains/i.test(value);
+    const preload = /preload/i.test(value);
+    
+    if (maxAge === 0) {
+      issues.push({
+        type: 'hsts_disabled',
+        severity: 'high',
+        header: 'Strict-Transport-Security',
+        value: value,
+        message: 'Strict-Transport-Security has max-age=0, which turns HSTS off'
+      });
+    } else if (maxAge < this.minHstsMaxAge) {
+      issues.push({
+        type: 'hsts_short_max_age',
+        severity: 'medium',
+        header: 'Strict-Transport-Security',
+        value: value,
+        message: `Strict-Transport-Security max-age is ${maxAge}s; use at least ${this.minHstsMaxAge}s (180 days)`
+      });
+    }
+    
+    if (!includeSubDomains) {
+      issues.push({
+        type: 'hsts_no_subdomains',
+        severity: 'low',
+        header: 'Strict-Transport-Security',
+        value: value,
+        message: 'Strict-Transport-Security does not include subdomains'
+      });
+    }
+    
+    // The preload list rejects headers that do not meet its requirements
+    if (preload && (maxAge < this.preloadMaxAge || !includeSubDomains)) {
+      issues.push({
+        type: 'hsts_preload_invalid',
+        severity: 'low',
+        header: 'Strict-Transport-Security',
+        value: value,
+        message: 'Strict-Transport-Security asks for preload but needs max-age of at least one year and includeSubDomains'
+      });
+    } else if (!preload) {
+      issues.push({
+        type: 'hsts_not_preloaded',
+        severity: 'info',
+        header: 'Strict-Transport-Security',
+        value: value,
+        message: 'Strict-Transport-Security is not marked for preload'
+      });
+    }
+    
+    return this.grade(issues);
+  }
+
+  checkContentTypeOptions(value) {
+    if (value?.trim().toLowerCase() === 'nosniff') {
+      return { grade: 'pass', points: 1, issues: [] };
+    }
+    
+    return {
+      grade: 'fail',
+      points: 0,
+      issues: [{
+        type: 'content_type_options',
+        severity: 'medium',
+        header: 'X-Content-Type-Options',
+        value: value || null,
+        message: value
+          ? `X-Content-Type-Options is "${value}" instead of "nosniff"`
+          : 'No X-Content-Type-Options: nosniff header is set'
+      }]
+    };
+  }
+
+  checkReferrerPolicy(value) {
+    if (!value) {
+      return {
+        grade: 'warn',
+        points: 0.5,
+        issues: [{
+          type: 'referrer_policy_missing',
+          severity: 'low',
+          header: 'Referrer-Policy',
+          message: 'No Referrer-Policy is set (browsers default to strict-origin-when-cross-origin)'
+        }]
+      };
+    }
+    
+    // With a fallback list, the last policy the browser knows is used
+    const policy = value.split(',').map(token => token.trim().toLowerCase()).filter(Boolean).pop();
+    if (policy === 'unsafe-url' || policy === 'no-referrer-when-downgrade') {
+      return {
+        grade: 'fail',
+        points: 0,
+        issues: [{
+          type: 'referrer_policy_unsafe',
+          severity: 'medium',
+          header: 'Referrer-Policy',
+          value: value,
+          message: `Referrer-Policy "${policy}" sends full URLs to other sites`
+        }]
+      };
+    }
+    
+    return { grade: 'pass', points: 1, issues: [] };
+  }
+
+  checkPermissionsPolicy(value, featurePolicy) {
+    if (!value) {
+      return {
+        grade: 'warn',
+        points: featurePolicy ? 0.5 : 0,
+        issues: [{
+          type: featurePolicy ? 'feature_policy_deprecated' : 'permissions_policy_missing',
+          severity: 'low',
+          header: 'Permissions-Policy',
+          message: featurePolicy
+            ? 'Only the deprecated Feature-Policy header is set; use Permissions-Policy'
+            : 'No Permissions-Policy is set'
+        }]
+      };
+    }
+    
+    // Features granted to every origin, e.g. camera=*
+    const openFeatures = value.split(',')
+      .map(entry => entry.trim().match(/^([a-z-]+)\s*=\s*(.*)$/i))
+      .filter(match => match && this.powerfulFeatures.includes(match[1].toLowerCase()) && /(^|[\s(])\*([\s)]|$)/.test(match[2]))
+      .map(match => match[1].toLowerCase());
+    
+    if (openFeatures.length > 0) {
+      return {
+        grade: 'warn',
+        points: 0.5,
+        issues: [{
+          type: 'permissions_policy_wildcard',
+          severity: 'medium',
+          header: 'Permissions-Policy',
+          features: openFeatures,
+          message: `Permissions-Policy grants ${openFeatures.join(', ')} to every origin`
+        }]
+      };
+    }
+    
+    return { grade: 'pass', points: 1, issues: [] };
+  }
+
+  checkFraming(cspPolicy, frameOptions) {
+    // frame-ancestors only works from the header, and overrides X-Frame-Options
+    const ancestors = this.parseCsp(cspPolicy)['frame-ancestors'];
+    
+    if (ancestors) {
+      if (ancestors.includes('*') || ancestors.some(source => /^(https?:)$/i.test(source))) {
+        return {
+          grade: 'fail',
+          points: 0,
+          issues: [{
+            type: 'frame_ancestors_wildcard',
+            severity: 'medium',
+            header: 'Content-Security-Policy',
+            message: `CSP frame-ancestors lets any site frame the page: ${ancestors.join(' ')}`
+          }]
+        };
+      }
+      return { grade: 'pass', points: 1, issues: [] };
+    }
+    
+    const option = frameOptions?.trim().toUpperCase();
+    if (option === 'DENY' || option === 'SAMEORIGIN') {
+      return { grade: 'pass', points: 1, issues: [] };
+    }
+    
+    return {
+      grade: 'fail',
+      points: 0,
+      issues: [{
+        type: option?.startsWith('ALLOW-FROM') ? 'x_frame_options_allow_from' : 'clickjacking',
+        severity: 'medium',
+        header: 'X-Frame-Options',
+        value: frameOptions || null,
+        message: option?.startsWith('ALLOW-FROM')
+          ? 'X-Frame-Options ALLOW-FROM is ignored by current browsers; use CSP frame-ancestors'
+          : 'Neither CSP frame-ancestors nor X-Frame-Options prevents framing (clickjacking)'
+      }]
+    };
+  }
+
+  checkCrossOriginIsolation(opener, embedder) {
+    const issues = [];
+    const coop = opener?.split(';')[0].trim().toLowerCase();
+    const coep = embedder?.split(';')[0].trim().toLowerCase();
+    
+    if (!coop || coop === 'unsafe-none') {
+      issues.push({
+        type: 'coop_missing',
+        severity: 'low',
+        header: 'Cross-Origin-Opener-Policy',
+        value: opener || null,
+        message: coop
+          ? 'Cross-Origin-Opener-Policy is unsafe-none, so other windows keep a handle to the page'
+          : 'No Cross-Origin-Opener-Policy is set'
+      });
+    }
+    
+    // COEP is only needed for cross-origin isolation, so a gap is informational
+    if (!coep || coep === 'unsafe-none') {
+      issues.push({
+        type: 'coep_missing',
+        severity: 'info',
+        header: 'Cross-Origin-Embedder-Policy',
+        value: embedder || null,
+        message: 'No Cross-Origin-Embedder-Policy is set, so the page is not cross-origin isolated'
+      });
+    }
+    
+    return this.grade(issues);
+  }
+
+  grade(issues) {
+    const penalties = { high: 1, medium: 0.5, low: 0.2, info: 0 };
+    const points = Math.max(0, 1 - issues.reduce((total, issue) => total + (penalties[issue.severity] || 0), 0));
+    
+    return {
+      grade: points >= 0.8 ? 'pass' : points >= 0.4 ? 'warn' : 'fail',
+      points: Math.round(points * 100) / 100,
+      issues: issues
+    };
+  }
+}
@@ -0,0 +1,318 @@
+// Soft-404 detector module (missing pages that answer 200)
+export class Soft404Detector {
+  constructor(linkChecker) {
+    // Page fetches share the link checker's per-host rate limits
+    this.linkChecker = linkChecker;
+    this.timeout = 8000;
+    // Each link target is rendered in a tab, so keep this modest
+    this.maxLinksToCheck = 20;
+    this.similarityThreshold = 0.85;
+    
+    // Per-run caches: one not-found probe per origin, one render per page
+    this.notFoundPages = new Map();
+    this.pages = new Map();
+    
+    // Findings already reported in this run, so shared links and templates appear once
+    this.reportedOrigins = new Set();
+    this.reportedTargets = new Set();
+  }
+
+  async check(tabId, pageUrl, seoData = {}) {
+    try {
+      const origin = new URL(pageUrl).origin;
+      const { windowId } = await chrome.tabs.get(tabId);
+      const notFound = await this.getNotFoundPage(origin, windowId);
+      const results = {
+        origin: origin,
+        notFoundPage: {
+          probeUrl: notFound.url,
+          status: notFound.status,
+          finalUrl: notFound.finalUrl,
+          title: notFound.title,
+          hasNavigation: notFound.hasNavigation
+        },
+        checked: 0,
+        soft404s: [],
+        issues: []
+      };
+      
+      // A rate-limited probe says nothing about the site's error handling
+      if (notFound.status === 429 || notFound.status === 503) {
+        notFound.error = `Could not verify: server answered ${notFound.status}`;
+      }
+      
+      if (notFound.error) {
+        results.error = notFound.error;
+        results.score = 100;
+        return results;
+      }
+      
+      // The not-found page describes the whole origin, so its findings go on the first page tested there
+      if (!this.reportedOrigins.has(origin)) {
+        this.reportedOrigins.add(origin);
+        results.issues.push(...this.auditNotFoundPage(notFound));
+      }
+      
+      // The tested page and its same-origin links, each fetched once
+      const seen = new Set();
+      const candidates = [{ href: pageUrl, text: '(tested page)' }, ...(seoData.links?.internal || [])]
+        .filter(link => {
+          const key = this.getPageKey(link.href);
+          if (!key || seen.has(key) || !key.startsWith(origin)) return false;
+          seen.add(key);
+          return true;
+        })
+        .slice(0, this.maxLinksToCheck + 1);
+      
+      // One at a time: every target opens a tab in the test window
+      for (const [index, link] of candidates.entries()) {
+        const isTestedPage = index === 0;
+        const page = isTestedPage
+          ? await this.getTestedPage(tabId, link.href)
+          : await this.getPage(link.href, windowId);
+        if (page.error) continue;
+        results.checked++;
+        
+        // When missing pages redirect somewhere, that target itself is fine
+        if (this.getPageKey(page.finalUrl) === this.getPageKey(notFound.finalUrl) &&
+            this.getPageKey(link.href) === this.getPageKey(notFound.finalUrl)) continue;
+        
+        // Only rendered 200 pages can be soft 404s; real 404s, PDFs and images are not
+        if (page.status !== 200 || !page.shingles) continue;
+        
+        const match = this.compare(page, notFound);
+        if (match.isSoft404) {
+          results.soft404s.push({ url: link.href, text: link.text, ...match });
+          
+          // Header and footer links repeat on every page; report each target once per run
+          const key = this.getPageKey(link.href);
+          if (this.reportedTargets.has(key)) continue;
+          this.reportedTargets.add(key);
+          
+          results.issues.push({
+            type: 'soft_404',
+            severity: 'high',
+            url: link.href,
+            text: link.text,
+            similarity: match.similarity,
+            message: isTestedPage
+              ? `Page returns 200 but looks like the site's "not found" page`
+              : `Link target returns 200 but looks like the site's "not found" page: ${link.href}`
+          });
+        }
+      }
+      
+      results.score = Math.max(0, 100 - results.issues.reduce((total, issue) =>
+        total + (issue.severity === 'high' ? 15 : 5), 0));
+      
+      return results;
+    
+    } catch (error) {
+      console.error('Soft-404 check error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        soft404s: [],
+        issues: []
+      };
+    }
+  }
+
+  auditNotFoundPage(notFound) {
+    const issues = [];
+    
+    if (notFound.status < 400) {
+      issues.push({
+        type: 'soft_404_template',
+        severity: 'high',
+        url: notFound.url,
+        status: notFound.status,
+        finalUrl: notFound.finalUrl,
+        message: notFound.finalUrl !== notFound.url
+          ? `Missing pages redirect to ${notFound.finalUrl} (${notFound.status}) instead of returning 404`
+          : `Missing pages return ${notFound.status} instead of 404`
+      });
+    } else if (notFound.status !== 404 && notFound.status !== 410) {
+      issues.push({
+        type: 'unexpected_404_status',
+        severity: 'medium',
+        url: notFound.url,
+        status: notFound.status,
+        message: `Missing pages return ${notFound.status} instead of 404`
+      });
+    }
+    
+    if (!notFound.hasNavigation) {
+      issues.push({
+        type: 'error_page_no_navigation',
+        severity: 'medium',
+        url: notFound.url,
+        message: 'The "not found" page has no navigation back into the site'
+      });
+    }
+    
+    return issues;
+  }
+
+  getNotFoundPage(origin, windowId) {
+    if (!this.notFoundPages.has(origin)) {
+      const token = Math.random().toString(36).slice(2, 12);
+      const probeUrl = `${origin}/qa-missing-page-${token}`;
+      
+      this.notFoundPages.set(origin, (async () => {
+        const response = await this.fetchStatus(probeUrl);
+        if (response.error) return response;
+        
+        // Error pages often echo the requested path; keep it out of the fingerprint
+        const rendered = await this.renderPage(probeUrl, windowId, token);
+        return { ...response, ...rendered };
+      })());
+    }
+    
+    return this.notFoundPages.get(origin);
+  }
+
+  getPage(href, windowId) {
+    const key = this.getPageKey(href);
+    if (!this.pages.has(key)) {
+      this.pages.set(key, (async () => {
+        const response = await this.fetchStatus(key);
+        // Only pages that answer 200 with HTML can be soft 404s, so only those are rendered
+        if (response.error || response.status !== 200 || !response.isHtml) return response;
+        return { ...response, ...await this.renderPage(key, windowId) };
+      })());
+    }
+    return this.pages.get(key);
+  }
+
+  getTestedPage(tabId, href) {
+    // The tested page is already rendered in its own tab
+    const key = this.getPageKey(href);
+    if (!this.pages.has(key)) {
+      this.pages.set(key, (async () => {
+        const response = await this.fetchStatus(key);
+        if (response.error) return response;
+        return { ...response, ...await this.getFingerprint(tabId) };
+      })());
+    }
+    return this.pages.get(key);
+  }
+
+  getPageKey(href) {
+    try {
+      const url = new URL(href);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      url.hash = '';
+      return url.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  fetchStatus(url) {
+    return this.linkChecker.schedule(url, () => this.requestStatus(url));
+  }
+
+  async requestStatus(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    
+    try {
+      const response = await fetch(url, {
+        signal: controller.signal,
+        redirect: 'follow',
+        cache: 'no-store',
+        credentials: 'omit'
+      });
+      // The body is read from the rendered page instead
+      response.body?.cancel().catch(() => {});
+      
+      return {
+        url: url,
+        status: response.status,
+        finalUrl: response.url,
+        isHtml: (response.headers.get('content-type') || '').includes('html')
+      };
+    
+    } catch (error) {
+      return {
+        url: url,
+        error: controller.signal.aborted ? `Timed out after ${this.timeout}ms` : error.message
+      };
+    
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async renderPage(url, windowId, token = null) {
+    // Client-rendered sites serve one empty shell for every path; only the DOM tells pages apart
+    let tab = null;
+    
+    try {
+      tab = await chrome.tabs.create({ windowId, url, active: false });
+      await this.linkChecker.waitForTab(tab.id);
+      return await this.getFingerprint(tab.id, token);
+      
+    } catch (error) {
+      return { error: `Could not render ${url}: ${error.message}` };
+      
+    } finally {
+      if (tab) {
+        await chrome.tabs.remove(tab.id).catch(() => {});
+      }
+    }
+  }
+
+  async getFingerprint(tabId, token = null) {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => ({
+        title: document.title.trim(),
+        h1: (document.querySelector('h1')?.innerText || '').trim(),
+        // innerText skips scripts, styles and hidden elements
+        text: (document.body?.innerText || '').toLowerCase(),
+        hasNavigation: !!document.querySelector('nav, [role="navigation"]') ||
+          document.querySelectorAll('a[href]').length >= 3
+      })
+    });
+    
+    const { text, ...fingerprint } = result.result;
+    const words = text.split(/[^\p{L}\p{N}-]+/u).filter(word => word && (!token || !word.includes(token)));
+    
+    return {
+      ...fingerprint,
+      words: words,
+      shingles: this.getShingles(words)
+    };
+  }
+
+  getShingles(words) {
+    // Three-word shingles compare page text regardless of markup
+    const shingles = new Set();
+    for (let i = 0; i + 2 < words.length; i++) {
+      shingles.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+    }
+    return shingles;
+  }
+
+  compare(page, notFound) {
+    let shared = 0;
+    page.shingles.forEach(shingle => {
+      if (notFound.shingles.has(shingle)) shared++;
+    });
+    
+    const union = page.shingles.size + notFound.shingles.size - shared;
+    const similarity = union > 0 ? shared / union : 0;
+    const sameTitle = !!page.title && page.title === notFound.title;
+    const sameHeading = !!page.h1 && page.h1 === notFound.h1;
+    
+    return {
+      similarity: Math.round(similarity * 100) / 100,
+      sameTitle: sameTitle,
+      sameHeading: sameHeading,
+      // Shared titles alone are common on poorly tuned sites, so text must agree too
+      isSoft404: similarity >= this.similarityThreshold || (sameTitle && sameHeading && similarity >= 0.5)
+    };
+  }
+}
@@ -1,6 +1,24 @@
 // Staging URL detector module
+import { SecretScanner } from './secret-scanner.js';
+
 export class StagingDetector {
-  constructor() {
+  constructor(customPatterns = [], linkChecker = null, options = {}) {
+    // options.firebaseWriteProbe opts in to test writes against exposed Firebase databases
+    this.secretScanner = linkChecker ? new SecretScanner(linkChecker, options) : null;
+    
+    // Project patterns: a hostname, or /regex/ matched against the full URL
+    this.customPatterns = customPatterns.map(pattern => {
+      const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        return regexMatch
+          ? new RegExp(regexMatch[1], regexMatch[2] || 'i')
+          : new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      } catch (e) {
+        console.warn('Invalid staging pattern:', pattern);
+        return null;
+      }
+    }).filter(Boolean);
+    
     this.stagingPatterns = [
       /staging\./i,
       /dev\./i,
@@ -39,48 +57,91 @@ export class StagingDetector {
         func: (patterns) => {
           const found = [];
           const checked = new Set();
+          const compile = list => list.map(p => new RegExp(p.source, p.flags));
+          const builtInPatterns = compile(patterns.builtIn);
+          const customPatterns = compile(patterns.custom);
+          const currentHost = window.location.host;
+          
+          // Built-in patterns describe hosts and ports, so they only see the
+          // host (no "latest.js" false positives); project patterns see the whole URL
+          const matchPattern = (url) => {
+            const host = url.host;
+            const builtIn = builtInPatterns.find(pattern => pattern.test(host));
+            if (builtIn) return builtIn;
+            return customPatterns.find(pattern => pattern.test(url.href));
+          };
+          
+          const isStaging = !!matchPattern(new URL(window.location.href));
           
           // Helper function to check URL against patterns
-          const checkUrl = (url, type, context) => {
-            if (!url || checked.has(url)) return;
-            checked.add(url);
+          const checkUrl = (rawUrl, type, context) => {
+            if (!rawUrl) return;
             
-            const patternsArray = patterns.map(p => new RegExp(p.source, p.flags));
+            let url;
+            try {
+              url = new URL(rawUrl, window.location.href);
+            } catch (e) {
+              return;
+            }
+            if (!url.protocol.startsWith('http') || checked.has(url.href)) return;
+            checked.add(url.href);
             
-            for (const pattern of patternsArray) {
-              if (pattern.test(url)) {
-                found.push({
-                  type: type,
-                  url: url,
-                  pattern: pattern.source,
-                  context: context
-                });
-                break;
-              }
+            // Testing a staging site: its own URLs are expected
+            if (isStaging && url.host === currentHost) return;
+            
+            const pattern = matchPattern(url);
+            if (pattern) {
+              found.push({
+                type: type,
+                url: url.href,
+                pattern: pattern.source,
+                custom: customPatterns.includes(pattern),
+                context: context
+              });
             }
           };
           
+          // URLs written into text: scripts, JSON, CSS and meta content.
+          // JSON often escapes slashes as \/ so undo that first.
+          const checkText = (text, type, context) => {
+            const matches = (text || '').replace(/\\\//g, '/').match(/(?:https?:)?\/\/[a-z0-9.-]+(?::\d+)?[^\s"'`<>\\)]*/gi) || [];
+            matches.forEach(match => checkUrl(match, type, context));
+          };
+          
+          const describe = el => ({
+            tag: el.tagName.toLowerCase(),
+            id: el.id,
+            class: typeof el.className === 'string' ? el.className : ''
+          });
+          
           // Check all links
           document.querySelectorAll('a[href]').forEach(link => {
             checkUrl(link.href, 'link', {
               text: link.textContent.trim().substring(0, 50),
-              element: {
-                tag: 'a',
-                id: link.id,
-                class: link.className
-              }
+              element: describe(link)
             });
           });
           
-          // Check all images
-          document.querySelectorAll('img[src]').forEach(img => {
-            checkUrl(img.src, 'image', {
+          // Check all images, including responsive candidates
+          document.querySelectorAll('img').forEach(img => {
+            checkUrl(img.getAttribute('src'), 'image', {
               alt: img.alt,
-              element: {
-                tag: 'img',
-                id: img.id,
-                class: img.className
-              }
+              element: describe(img)
+            });
+            (img.getAttribute('srcset') || '').split(',').forEach(candidate => {
+              checkUrl(candidate.trim().split(/\s+/)[0], 'image', {
+                alt: img.alt,
+                attribute: 'srcset',
+                element: describe(img)
+              });
+            });
+          });
+          document.querySelectorAll('picture source[srcset]').forEach(source => {
+            source.getAttribute('srcset').split(',').forEach(candidate => {
+              checkUrl(candidate.trim().split(/\s+/)[0], 'image', {
+                attribute: 'srcset',
+                element: describe(source)
+              });
             });
           });
           
@@ -88,124 +149,107 @@ export class StagingDetector {
           document.querySelectorAll('script[src]').forEach(script => {
             checkUrl(script.src, 'script', {
               type: script.type || 'text/javascript',
-              element: {
-                tag: 'script'
-              }
+              element: describe(script)
             });
           });
           
-          // Check all stylesheets
+          // Check inline scripts and JSON-LD
+          document.querySelectorAll('script:not([src])').forEach(script => {
+            const isJsonLd = script.type === 'application/ld+json';
+            checkText(script.textContent, isJsonLd ? 'json-ld' : 'inline-script', {
+              type: script.type || 'text/javascript',
+              element: describe(script)
+            });
+          });
+          
+          // Check stylesheets, preloads, icons and other linked resources
           document.querySelectorAll('link[href]').forEach(link => {
-            if (link.rel === 'stylesheet') {
-              checkUrl(link.href, 'stylesheet', {
-                media: link.media,
-                element: {
-                  tag: 'link',
-                  rel: link.rel
-                }
-              });
-            }
+            checkUrl(link.href, link.rel === 'stylesheet' ? 'stylesheet' : 'linked-resource', {
+              rel: link.rel,
+              media: link.media,
+              element: describe(link)
+            });
           });
           
           // Check iframes
           document.querySelectorAll('iframe[src]').forEach(iframe => {
             checkUrl(iframe.src, 'iframe', {
               title: iframe.title,
-              element: {
-                tag: 'iframe',
-                id: iframe.id,
-                class: iframe.className
-              }
+              element: describe(iframe)
             });
           });
           
           // Check video and audio sources
-          document.querySelectorAll('video[src], audio[src], source[src]').forEach(media => {
-            checkUrl(media.src, 'media', {
+          document.querySelectorAll('video[src], audio[src], source[src], video[poster]').forEach(media => {
+            checkUrl(media.getAttribute('src') || media.getAttribute('poster'), 'media', {
               type: media.type,
-              element: {
-                tag: media.tagName.toLowerCase()
-              }
+              element: describe(media)
             });
           });
           
-          // Check CSS background images and imports
-          const styles = document.querySelectorAll('style');
-          styles.forEach(style => {
-            const cssText = style.textContent;
-            const urlMatches = cssText.match(/url\(['"]?(.*?)['"]?\)/g) || [];
-            
-            urlMatches.forEach(match => {
-              const url = match.replace(/url\(['"]?|['"]?\)/g, '');
-              if (url.startsWith('http')) {
-                checkUrl(url, 'css-url', {
-                  context: 'Inline CSS'
-                });
-              }
+          // Check CSS: inline styles, style attributes and readable stylesheets
+          document.querySelectorAll('style').forEach(style => {
+            checkText(style.textContent, 'css-url', { context: 'Inline CSS' });
+          });
+          document.querySelectorAll('[style*="url("]').forEach(el => {
+            checkText(el.getAttribute('style'), 'css-url', {
+              context: 'Style attribute',
+              element: describe(el)
             });
           });
+          Array.from(document.styleSheets).forEach(sheet => {
+            if (!sheet.href) return;
+            try {
+              const cssText = Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+              checkText(cssText, 'css-url', { context: sheet.href });
+            } catch (e) {
+              // Cross-origin stylesheet
+            }
+          });
           
           // Check inline onclick and other event handlers
-          const elementsWithHandlers = document.querySelectorAll('[onclick], [onload], [onerror]');
-          elementsWithHandlers.forEach(el => {
-            const handlers = ['onclick', 'onload', 'onerror'];
-            handlers.forEach(handler => {
-              const code = el.getAttribute(handler);
-              if (code) {
-                const urlMatches = code.match(/https?:\/\/[^\s"'<>]+/g) || [];
-                urlMatches.forEach(url => {
-                  checkUrl(url, 'inline-handler', {
-                    handler: handler,
-                    element: {
-                      tag: el.tagName.toLowerCase(),
-                      id: el.id,
-                      class: el.className
-                    }
-                  });
-                });
-              }
+          document.querySelectorAll('[onclick], [onload], [onerror]').forEach(el => {
+            ['onclick', 'onload', 'onerror'].forEach(handler => {
+              checkText(el.getAttribute(handler), 'inline-handler', {
+                handler: handler,
+                element: describe(el)
+              });
             });
           });
           
           // Check data attributes that might contain URLs
-          const elementsWithData = document.querySelectorAll('[data-src], [data-url], [data-href], [data-background]');
+          const elementsWithData = document.querySelectorAll('[data-src], [data-url], [data-href], [data-background], [data-srcset]');
           elementsWithData.forEach(el => {
-            ['data-src', 'data-url', 'data-href', 'data-background'].forEach(attr => {
-              const value = el.getAttribute(attr);
-              if (value && value.startsWith('http')) {
-                checkUrl(value, 'data-attribute', {
-                  attribute: attr,
-                  element: {
-                    tag: el.tagName.toLowerCase(),
-                    id: el.id,
-                    class: el.className
-                  }
-                });
-              }
+            ['data-src', 'data-url', 'data-href', 'data-background', 'data-srcset'].forEach(attr => {
+              checkText(el.getAttribute(attr), 'data-attribute', {
+                attribute: attr,
+                element: describe(el)
+              });
             });
           });
           
           // Check meta tags
           document.querySelectorAll('meta[content]').forEach(meta => {
-            const content = meta.getAttribute('content');
-            if (content && content.startsWith('http')) {
-              checkUrl(content, 'meta-tag', {
-                name: meta.name || meta.getAttribute('property'),
-                element: {
-                  tag: 'meta'
-                }
-              });
-            }
+            checkText(meta.getAttribute('content'), 'meta-tag', {
+              name: meta.name || meta.getAttribute('property'),
+              element: {
+                tag: 'meta'
+              }
+            });
           });
           
           return {
+            score: Math.max(0, 100 - found.length * 10),
             found: found,
             total: found.length,
             currentUrl: window.location.href,
-            isStaging: patternsArray.some(p => p.test(window.location.href))
+            isStaging: isStaging
           };
         },
-        args: [this.stagingPatterns.map(p => ({ source: p.source, flags: p.flags }))]
+        args: [{
+          builtIn: this.stagingPatterns.map(p => ({ source: p.source, flags: p.flags })),
+          custom: this.customPatterns.map(p => ({ source: p.source, flags: p.flags }))
+        }]
       });
       
       return result.result;
@@ -214,6 +258,7 @@ export class StagingDetector {
       console.error('Staging detector error:', error);
       return {
         error: error.message,
+        score: 0,
         found: [],
         total: 0
       };
@@ -260,18 +305,6 @@ export class StagingDetector {
             });
           }
           
-          // Check for source maps (shouldn't be in production)
-          const scripts = document.querySelectorAll('script[src]');
-          scripts.forEach(script => {
-            if (script.src.includes('.map') || script.src.includes('source-map')) {
-              leaks.push({
-                type: 'source_map',
-                url: script.src,
-                message: 'Source map detected - exposes source code'
-              });
-            }
-          });
-          
           // Check comments in HTML for sensitive info
           const walker = document.createTreeWalker(
             document.body,
@@ -293,13 +326,32 @@ export class StagingDetector {
             }
           }
           
-          return leaks;
+          // Same-origin bundles are fetched and scanned from the extension
+          const scripts = [
+            ...[...document.querySelectorAll('script[src]')].map(script => script.src),
+            ...[...document.querySelectorAll('link[rel="modulepreload"], link[rel="preload"][as="script"]')].map(link => link.href)
+          ];
+          
+          return {
+            leaks: leaks,
+            pageUrl: window.location.href,
+            html: document.documentElement.outerHTML,
+            scripts: scripts
+          };
         }
       });
       
+      const { leaks, pageUrl, html, scripts } = result.result;
+      const scan = this.secretScanner
+        ? await this.secretScanner.scan(pageUrl, { html, scripts })
+        : { scannedFiles: [], secrets: [], sourceMaps: [] };
+      leaks.push(...scan.sourceMaps);
+      
       return {
-        leaks: result.result,
-        hasLeaks: result.result.length > 0
+        leaks: leaks,
+        secrets: scan.secrets,
+        scannedFiles: scan.scannedFiles,
+        hasLeaks: leaks.length > 0 || scan.secrets.length > 0
       };
       
     } catch (error) {
@@ -307,6 +359,7 @@ export class StagingDetector {
       return {
         error: error.message,
         leaks: [],
+        secrets: [],
         hasLeaks: false
       };
     }
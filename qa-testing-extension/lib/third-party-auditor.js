@@ -0,0 +1,242 @@
+// Third-party script and stylesheet auditor module (SRI, cost and budget)
+import { ThirdPartyVendors } from './third-party-vendors.js';
+
+export class ThirdPartyAuditor {
+  constructor(linkChecker, budget = {}) {
+    // Sizes the browser hides (no Timing-Allow-Origin) come from the link checker's cache
+    this.linkChecker = linkChecker;
+    this.vendors = new ThirdPartyVendors();
+    this.budget = {
+      transferBytes: budget.transferBytes ?? 300 * 1024,
+      mainThreadMs: budget.mainThreadMs ?? 250,
+      renderBlocking: budget.renderBlocking ?? 0,
+      vendors: budget.vendors ?? 10
+    };
+  }
+
+  async audit(tabId, pageUrl) {
+    try {
+      const page = await this.collect(tabId);
+      const resources = page.resources.filter(resource => this.isCrossOrigin(resource.url, pageUrl));
+      
+      // Fill in sizes the Resource Timing API reports as 0
+      await Promise.all(resources.filter(resource => !resource.transferSize).map(async resource => {
+        const check = await this.linkChecker.checkLink({ href: resource.url });
+        resource.transferSize = check.contentLength || null;
+        resource.sizeSource = check.contentLength ? 'content-length' : 'unknown';
+      }));
+      
+      resources.forEach(resource => {
+        const vendor = this.vendors.getVendor(resource.url);
+        resource.vendor = vendor.vendor;
+        resource.category = vendor.category;
+        resource.mainThreadMs = Math.round(page.scriptTime[resource.url] || 0);
+      });
+      
+      const results = {
+        resources: resources,
+        budgetTable: this.buildBudgetTable(resources),
+        totals: this.getTotals(resources),
+        budget: this.budget,
+        // Long animation frames only attribute script time on Chrome 123+
+        mainThreadMeasured: page.loafSupported,
+        issues: []
+      };
+      
+      results.issues.push(...this.auditIntegrity(resources));
+      results.issues.push(...this.auditBudget(results.totals));
+      
+      const penalties = { high: 15, medium: 7, low: 2 };
+      const score = results.issues.reduce((total, issue) => total - (penalties[issue.severity] || 0), 100);
+      results.score = Math.max(0, score);
+      
+      return results;
+    
+    } catch (error) {
+      console.error('Third-party audit error:', error);
+      return {
+        error: error.message,
+        score: 0,
+        resources: [],
+        budgetTable: [],
+        issues: []
+      };
+    }
+  }
+
+  async collect(tabId) {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: async () => {
+        const timings = new Map(performance.getEntriesByType('resource').map(entry => [entry.name, entry]));
+        
+        const describe = (el, kind, url) => {
+          const timing = timings.get(url);
+          const inHead = !!el.closest('head');
+          // Fallback for browsers without renderBlockingStatus
+          const guessBlocking = kind === 'script'
+            ? inHead && !el.async && !el.defer && el.type !== 'module'
+            : !el.media || el.media === 'all' || window.matchMedia(el.media).matches;
+          
+          return {
+            url: url,
+            kind: kind,
+            integrity: el.getAttribute('integrity') || null,
+            crossorigin: el.hasAttribute('crossorigin') ? (el.getAttribute('crossorigin') || 'anonymous') : null,
+            async: kind === 'script' ? el.async : undefined,
+            defer: kind === 'script' ? el.defer : undefined,
+            inHead: inHead,
+            renderBlocking: timing?.renderBlockingStatus
+              ? timing.renderBlockingStatus === 'blocking'
+              : guessBlocking,
+            transferSize: timing?.transferSize || timing?.encodedBodySize || 0,
+            duration: timing ? Math.round(timing.duration) : null
+          };
+        };
+        
+        const resources = [
+          ...[...document.querySelectorAll('script[src]')].map(el => describe(el, 'script', el.src)),
+          ...[...document.querySelectorAll('link[rel~="stylesheet"][href]')].map(el => describe(el, 'stylesheet', el.href))
+        ];
+        
+        // Script time per source from buffered long animation frames
+        const scriptTime = {};
+        const loafSupported = PerformanceObserver.supportedEntryTypes?.includes('long-animation-frame');
+        if (loafSupported) {
+          const frames = await new Promise(resolve => {
+            const observer = new PerformanceObserver(list => {
+              observer.disconnect();
+              resolve(list.getEntries());
+            });
+            observer.observe({ type: 'long-animation-frame', buffered: true });
+            // No callback at all when nothing was buffered
+            setTimeout(() => {
+              observer.disconnect();
+              resolve([]);
+            }, 500);
+          });
+          frames.forEach(frame => (frame.scripts || []).forEach(script => {
+            if (script.sourceURL) {
+              scriptTime[script.sourceURL] = (scriptTime[script.sourceURL] || 0) + script.duration;
+            }
+          }));
+        }
+        
+        return { resources, scriptTime, loafSupported };
+      }
+    });
+    
+    return result.result;
+  }
+
+  auditIntegrity(resources) {
+    const issues = [];
+    
+    resources.forEach(resource => {
+      const label = resource.kind === 'script' ? 'Script' : 'Stylesheet';
+      
+      if (resource.integrity && !resource.crossorigin) {
+        // Without CORS the response is opaque and the integrity check always fails
+        issues.push({
+          type: 'sri_without_crossorigin',
+          severity: 'high',
+          url: resource.url,
+          vendor: resource.vendor,
+          message: `${label} has integrity but no crossorigin attribute, so the browser blocks it: ${resource.url}`
+        });
+      } else if (!resource.integrity) {
+        // Versioned files (e.g. jquery@3.7.1) should be pinned; vendor tags change too often for SRI
+        const pinnable = /[@/-]v?\d+\.\d+(\.\d+)?([/.-]|$)/.test(new URL(resource.url).pathname);
+        issues.push({
+          type: 'missing_sri',
+          severity: pinnable ? 'medium' : 'low',
+          url: resource.url,
+          vendor: resource.vendor,
+          message: pinnable
+            ? `${label} from ${resource.vendor} is a versioned file loaded without integrity: ${resource.url}`
+            : `${label} from ${resource.vendor} loads without integrity, so a compromised vendor can change it: ${resource.url}`
+        });
+      }
+      
+      if (resource.renderBlocking) {
+        issues.push({
+          type: 'render_blocking_third_party',
+          severity: 'medium',
+          url: resource.url,
+          vendor: resource.vendor,
+          message: `Third-party ${resource.kind} from ${resource.vendor} blocks rendering: ${resource.url}`
+        });
+      }
+    });
+    
+    return issues;
+  }
+
+  buildBudgetTable(resources) {
+    const rows = new Map();
+    
+    resources.forEach(resource => {
+      if (!rows.has(resource.vendor)) {
+        rows.set(resource.vendor, {
+          vendor: resource.vendor,
+          category: resource.category,
+          scripts: 0,
+          stylesheets: 0,
+          transferBytes: 0,
+          sizeUnknown: 0,
+          mainThreadMs: 0,
+          renderBlocking: 0,
+          missingIntegrity: 0
+        });
+      }
+      
+      const row = rows.get(resource.vendor);
+      row[resource.kind === 'script' ? 'scripts' : 'stylesheets']++;
+      if (resource.transferSize) row.transferBytes += resource.transferSize;
+      else row.sizeUnknown++;
+      row.mainThreadMs += resource.mainThreadMs;
+      if (resource.renderBlocking) row.renderBlocking++;
+      if (!resource.integrity) row.missingIntegrity++;
+    });
+    
+    // Most expensive vendors first
+    return [...rows.values()].sort((a, b) => (b.mainThreadMs - a.mainThreadMs) || (b.transferBytes - a.transferBytes));
+  }
+
+  getTotals(resources) {
+    return {
+      resources: resources.length,
+      vendors: new Set(resources.map(resource => resource.vendor)).size,
+      transferBytes: resources.reduce((total, resource) => total + (resource.transferSize || 0), 0),
+      mainThreadMs: resources.reduce((total, resource) => total + resource.mainThreadMs, 0),
+      renderBlocking: resources.filter(resource => resource.renderBlocking).length,
+      missingIntegrity: resources.filter(resource => !resource.integrity).length
+    };
+  }
+
+  auditBudget(totals) {
+    const checks = [
+      ['transferBytes', `Third-party transfer size is ${Math.round(totals.transferBytes / 1024)} KB (budget ${Math.round(this.budget.transferBytes / 1024)} KB)`],
+      ['mainThreadMs', `Third-party scripts took ${totals.mainThreadMs} ms of main-thread time (budget ${this.budget.mainThreadMs} ms)`],
+      ['renderBlocking', `${totals.renderBlocking} third-party resource(s) block rendering (budget ${this.budget.renderBlocking})`],
+      ['vendors', `${totals.vendors} third-party vendors load resources (budget ${this.budget.vendors})`]
+    ];
+    
+    return checks.filter(([key]) => totals[key] > this.budget[key]).map(([key, message]) => ({
+      type: 'third_party_budget',
+      severity: 'medium',
+      metric: key,
+      actual: totals[key],
+      budget: this.budget[key],
+      message: message
+    }));
+  }
+
+  isCrossOrigin(url, pageUrl) {
+    try {
+      return new URL(url).origin !== new URL(pageUrl).origin;
+    } catch (e) {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,132 @@
+// Third-party vendor catalogue module
+export class ThirdPartyVendors {
+  constructor() {
+    // Categories that need consent before they run
+    this.trackingCategories = ['analytics', 'advertising', 'session_replay', 'social', 'marketing'];
+    
+    // Known vendors, keyed by domain
+    this.vendors = {
+      'google-analytics.com': { vendor: 'Google Analytics', category: 'analytics' },
+      'analytics.google.com': { vendor: 'Google Analytics', category: 'analytics' },
+      'googletagmanager.com': { vendor: 'Google Tag Manager', category: 'tag_manager' },
+      'doubleclick.net': { vendor: 'Google Ads', category: 'advertising' },
+      'googlesyndication.com': { vendor: 'Google Ads', category: 'advertising' },
+      'googleadservices.com': { vendor: 'Google Ads', category: 'advertising' },
+      'facebook.net': { vendor: 'Meta', category: 'advertising' },
+      'facebook.com': { vendor: 'Meta', category: 'advertising' },
+      'tiktok.com': { vendor: 'TikTok', category: 'advertising' },
+      'licdn.com': { vendor: 'LinkedIn', category: 'advertising' },
+      'linkedin.com': { vendor: 'LinkedIn', category: 'advertising' },
+      'bing.com': { vendor: 'Microsoft Advertising', category: 'advertising' },
+      'clarity.ms': { vendor: 'Microsoft Clarity', category: 'session_replay' },
+      'hotjar.com': { vendor: 'Hotjar', category: 'session_replay' },
+      'hotjar.io': { vendor: 'Hotjar', category: 'session_replay' },
+      'fullstory.com': { vendor: 'FullStory', category: 'session_replay' },
+      'mouseflow.com': { vendor: 'Mouseflow', category: 'session_replay' },
+      'segment.com': { vendor: 'Segment', category: 'analytics' },
+      'segment.io': { vendor: 'Segment', category: 'analytics' },
+      'mixpanel.com': { vendor: 'Mixpanel', category: 'analytics' },
+      'amplitude.com': { vendor: 'Amplitude', category: 'analytics' },
+      'heapanalytics.com': { vendor: 'Heap', category: 'analytics' },
+      'plausible.io': { vendor: 'Plausible', category: 'analytics' },
+      'hs-scripts.com': { vendor: 'HubSpot', category: 'marketing' },
+      'hs-analytics.net': { vendor: 'HubSpot', category: 'marketing' },
+      'hubspot.com': { vendor: 'HubSpot', category: 'marketing' },
+      'marketo.net': { vendor: 'Marketo', category: 'marketing' },
+      'twitter.com': { vendor: 'X (Twitter)', category: 'advertising' },
+      'ads-twitter.com': { vendor: 'X (Twitter)', category: 'advertising' },
+      'snapchat.com': { vendor: 'Snapchat', category: 'advertising' },
+      'sc-static.net': { vendor: 'Snapchat', category: 'advertising' },
+      'pinterest.com': { vendor: 'Pinterest', category: 'advertising' },
+      'redditstatic.com': { vendor: 'Reddit', category: 'advertising' },
+      'reddit.com': { vendor: 'Reddit', category: 'advertising' },
+      'criteo.com': { vendor: 'Criteo', category: 'advertising' },
+      'criteo.net': { vendor: 'Criteo', category: 'advertising' },
+      'taboola.com': { vendor: 'Taboola', category: 'advertising' },
+      'outbrain.com': { vendor: 'Outbrain', category: 'advertising' },
+      'adnxs.com': { vendor: 'Xandr', category: 'advertising' },
+      'quantserve.com': { vendor: 'Quantcast', category: 'advertising' },
+      'scorecardresearch.com': { vendor: 'Comscore', category: 'analytics' },
+      'addthis.com': { vendor: 'AddThis', category: 'social' },
+      'sharethis.com': { vendor: 'ShareThis', category: 'social' },
+      'nr-data.net': { vendor: 'New Relic', category: 'monitoring' },
+      'newrelic.com': { vendor: 'New Relic', category: 'monitoring' },
+      'sentry.io': { vendor: 'Sentry', category: 'monitoring' },
+      'sentry-cdn.com': { vendor: 'Sentry', category: 'monitoring' },
+      'datadoghq.com': { vendor: 'Datadog', category: 'monitoring' },
+      'browser-intake-datadoghq.com': { vendor: 'Datadog', category: 'monitoring' },
+      'intercom.io': { vendor: 'Intercom', category: 'support' },
+      'intercomcdn.com': { vendor: 'Intercom', category: 'support' },
+      'zdassets.com': { vendor: 'Zendesk', category: 'support' },
+      'cookiebot.com': { vendor: 'Cookiebot', category: 'consent' },
+      'cookielaw.org': { vendor: 'OneTrust', category: 'consent' },
+      'onetrust.com': { vendor: 'OneTrust', category: 'consent' },
+      'usercentrics.eu': { vendor: 'Usercentrics', category: 'consent' },
+      'didomi.io': { vendor: 'Didomi', category: 'consent' },
+      'cookieyes.com': { vendor: 'CookieYes', category: 'consent' },
+      'iubenda.com': { vendor: 'iubenda', category: 'consent' },
+      'trustarc.com': { vendor: 'TrustArc', category: 'consent' },
+      'youtube.com': { vendor: 'YouTube', category: 'media' },
+      'ytimg.com': { vendor: 'YouTube', category: 'media' },
+      'vimeo.com': { vendor: 'Vimeo', category: 'media' },
+      'vimeocdn.com': { vendor: 'Vimeo', category: 'media' },
+      'googleapis.com': { vendor: 'Google APIs', category: 'cdn' },
+      'gstatic.com': { vendor: 'Google Static', category: 'cdn' },
+      'cloudflare.com': { vendor: 'Cloudflare', category: 'cdn' },
+      'jsdelivr.net': { vendor: 'jsDelivr', category: 'cdn' },
+      'unpkg.com': { vendor: 'unpkg', category: 'cdn' },
+      'jquery.com': { vendor: 'jQuery CDN', category: 'cdn' },
+      'bootstrapcdn.com': { vendor: 'BootstrapCDN', category: 'cdn' },
+      'typekit.net': { vendor: 'Adobe Fonts', category: 'cdn' },
+      'stripe.com': { vendor: 'Stripe', category: 'payments' },
+      'paypal.com': { vendor: 'PayPal', category: 'payments' },
+      'recaptcha.net': { vendor: 'reCAPTCHA', category: 'security' },
+      'hcaptcha.com': { vendor: 'hCaptcha', category: 'security' }
+    };
+    
+    // Public suffixes with two labels, so example.co.uk groups as one site
+    this.twoLabelSuffixes = [
+      'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+      'com.br', 'co.jp', 'co.in', 'com.mx', 'co.za', 'gc.ca', 'qc.ca', 'on.ca', 'bc.ca'
+    ];
+  }
+
+  getRegistrableDomain(hostname) {
+    const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+    if (labels.length <= 2 || /^[\d.]+$/.test(hostname)) return hostname.toLowerCase();
+    
+    const lastTwo = labels.slice(-2).join('.');
+    return this.twoLabelSuffixes.includes(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+  }
+
+  getVendor(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return null;
+    }
+    
+    // Most specific domain first, e.g. analytics.google.com before google.com
+    const labels = hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const domain = labels.slice(i).join('.');
+      if (this.vendors[domain]) return { domain, ...this.vendors[domain] };
+    }
+    
+    const domain = this.getRegistrableDomain(hostname);
+    return { domain, vendor: domain, category: 'unknown' };
+  }
+
+  isTracking(vendor) {
+    return !!vendor && this.trackingCategories.includes(vendor.category);
+  }
+
+  isThirdParty(url, pageUrl) {
+    try {
+      return this.getRegistrableDomain(new URL(url).hostname) !== this.getRegistrableDomain(new URL(pageUrl).hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+}
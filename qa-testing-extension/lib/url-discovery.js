@@ -0,0 +1,268 @@
+// URL discovery module (robots.txt and sitemap.xml expansion)
+export class UrlDiscovery {
+  constructor(options = {}) {
+    this.maxPages = Math.max(1, parseInt(options.maxPages) || 100);
+    this.include = (options.include || []).filter(Boolean).map(glob => this.globToRegExp(glob));
+    this.exclude = (options.exclude || []).filter(Boolean).map(glob => this.globToRegExp(glob));
+    this.respectRobots = options.respectRobots !== false;
+    this.maxSitemaps = 50;
+    this.timeout = 10000;
+  }
+
+  async discover(siteRoot) {
+    const origin = new URL(siteRoot).origin;
+    const result = {
+      siteRoot: origin,
+      robots: null,
+      sitemaps: [],
+      urls: [],
+      skipped: { filtered: 0, disallowed: 0 },
+      truncated: false,
+      errors: []
+    };
+    
+    // robots.txt lists sitemaps and the paths we should stay out of
+    try {
+      result.robots = await this.fetchRobots(origin);
+    } catch (error) {
+      result.errors.push({ url: `${origin}/robots.txt`, error: error.message });
+    }
+    
+    const queue = result.robots?.sitemaps.length > 0 
+      ? [...result.robots.sitemaps] 
+      : [`${origin}/sitemap.xml`];
+    const visited = new Set();
+    const found = new Set();
+    
+    while (queue.length > 0 && visited.size < this.maxSitemaps && !result.truncated) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+      
+      let xml;
+      try {
+        xml = await this.fetchSitemap(sitemapUrl);
+      } catch (error) {
+        result.errors.push({ url: sitemapUrl, error: error.message });
+        continue;
+      }
+      
+      const locations = this.extractLocations(xml);
+      
+      // Sitemap index files point at more sitemaps
+      if (/<sitemapindex[\s>]/i.test(xml)) {
+        queue.push(...locations);
+        continue;
+      }
+      
+      result.sitemaps.push({ url: sitemapUrl, count: locations.length });
+      
+      for (const location of locations) {
+        if (found.has(location)) continue;
+        
+        if (!this.matchesFilters(location)) {
+          result.skipped.filtered++;
+          continue;
+        }
+        
+        if (this.respectRobots && this.isDisallowed(location, result.robots)) {
+          result.skipped.disallowed++;
+          continue;
+        }
+        
+        if (found.size >= this.maxPages) {
+          result.truncated = true;
+          break;
+        }
+        
+        found.add(location);
+      }
+    }
+    
+    result.urls = Array.from(found);
+    return result;
+  }
+
+  async fetchRobots(origin) {
+    const response = await this.fetchWithTimeout(`${origin}/robots.txt`);
+    const robots = {
+      sitemaps: [],
+      disallow: [],
+      allow: [],
+      crawlDelay: null
+    };
+    
+    if (!response.ok) {
+      return robots;
+    }
+    
+    const text = await response.text();
+    let appliesToUs = false;
+    let lastWasAgent = false;
+    
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+      
+      const field = line.substring(0, separator).trim().toLowerCase();
+      const value = line.substring(separator + 1).trim();
+      
+      if (field === 'sitemap') {
+        try {
+          robots.sitemaps.push(new URL(value, origin).href);
+        } catch (e) {
+          // Ignore malformed sitemap URLs
+        }
+        return;
+      }
+      
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group of rules
+        appliesToUs = (lastWasAgent && appliesToUs) || value === '*';
+        lastWasAgent = true;
+        return;
+      }
+      lastWasAgent = false;
+      
+      if (!appliesToUs) return;
+      
+      if (field === 'disallow' && value) {
+        robots.disallow.push(value);
+      } else if (field === 'allow' && value) {
+        robots.allow.push(value);
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay)) {
+          robots.crawlDelay = delay;
+        }
+      }
+    });
+    
+    return robots;
+  }
+
+  async fetchSitemap(url) {
+    const response = await this.fetchWithTimeout(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const buffer = await response.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    
+    // Gzipped sitemaps start with the gzip magic number. Servers that send
+    // Content-Encoding: gzip are already decompressed by fetch.
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+      const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+      return await new Response(stream).text();
+    }
+    
+    return new TextDecoder().decode(bytes);
+  }
+
+  async fetchWithTimeout(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    
+    try {
+      return await fetch(url, { signal: controller.signal, redirect: 'follow' });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  extractLocations(xml) {
+    // DOMParser is not available in the service worker, but <loc> is simple enough to match
+    const locations = [];
+    const locPattern = /<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gis;
+    let match;
+    
+    while ((match = locPattern.exec(xml)) !== null) {
+      const location = match[1]
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+      
+      try {
+        locations.push(new URL(location).href);
+      } catch (e) {
+        // Skip malformed locations
+      }
+    }
+    
+    return locations;
+  }
+
+  matchesFilters(url) {
+    const target = this.getFilterTargets(url);
+    
+    if (this.include.length > 0 && !this.include.some(pattern => target.some(t => pattern.test(t)))) {
+      return false;
+    }
+    
+    return !this.exclude.some(pattern => target.some(t => pattern.test(t)));
+  }
+
+  getFilterTargets(url) {
+    // Globs can be written against the full URL or just the path
+    try {
+      const parsed = new URL(url);
+      return [parsed.href, parsed.pathname + parsed.search];
+    } catch (e) {
+      return [url];
+    }
+  }
+
+  globToRegExp(glob) {
+    let pattern = '';
+    
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      
+      if (char === '*' && glob[i + 1] === '*') {
+        pattern += '.*';
+        i++;
+      } else if (char === '*') {
+        pattern += '[^/]*';
+      } else if (char === '?') {
+        pattern += '[^/]';
+      } else {
+        pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  isDisallowed(url, robots) {
+    if (!robots || robots.disallow.length === 0) return false;
+    
+    let path;
+    try {
+      const parsed = new URL(url);
+      path = parsed.pathname + parsed.search;
+    } catch (e) {
+      return false;
+    }
+    
+    // The longest matching rule wins, Allow beats Disallow on a tie
+    const longestMatch = rules => rules.reduce((longest, rule) => 
+      this.robotsRuleMatches(rule, path) ? Math.max(longest, rule.length) : longest, -1);
+    
+    const disallowLength = longestMatch(robots.disallow);
+    return disallowLength > -1 && disallowLength > longestMatch(robots.allow);
+  }
+
+  robotsRuleMatches(rule, path) {
+    const anchored = rule.endsWith('$');
+    const body = (anchored ? rule.slice(0, -1) : rule)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    
+    return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+  }
+}
@@ -5,6 +5,8 @@ class QATestingPopup {
     this.testResults = null;
     this.progressInterval = null;
     this.activeTabUrl = null;
+    this.projects = [];
+    this.activeProjectId = null;
     
     this.init();
   }
@@ -15,11 +17,57 @@ class QATestingPopup {
     await this.loadSavedSettings();
     await this.getActiveTab();
     await this.checkForActiveTest();
+    await this.loadMonitors();
   }
 
   bindElements() {
     this.elements = {
       activeTabUrl: document.getElementById('activeTabUrl'),
+      
+      // Projects
+      projectSelect: document.getElementById('projectSelect'),
+      deleteProjectBtn: document.getElementById('deleteProject'),
+      newProjectName: document.getElementById('newProjectName'),
+      addProjectBtn: document.getElementById('addProject'),
+      thresholdAccessibility: document.getElementById('thresholdAccessibility'),
+      thresholdPerformance: document.getElementById('thresholdPerformance'),
+      thresholdSeo: document.getElementById('thresholdSeo'),
+      thresholdMaxIssues: document.getElementById('thresholdMaxIssues'),
+      budgetTransferKb: document.getElementById('budgetTransferKb'),
+      budgetMainThreadMs: document.getElementById('budgetMainThreadMs'),
+      budgetRenderBlocking: document.getElementById('budgetRenderBlocking'),
+      budgetVendors: document.getElementById('budgetVendors'),
+      ignoreRules: document.getElementById('ignoreRules'),
+      stagingPatterns: document.getElementById('stagingPatterns'),
+      promptVisual: document.getElementById('promptVisual'),
+      promptTechnical: document.getElementById('promptTechnical'),
+      projectHistory: document.getElementById('projectHistory'),
+      
+      urlList: document.getElementById('urlList'),
+      urlCount: document.getElementById('urlCount'),
+      siteRoot: document.getElementById('siteRoot'),
+      includeGlobs: document.getElementById('includeGlobs'),
+      excludeGlobs: document.getElementById('excludeGlobs'),
+      discoveryCap: document.getElementById('discoveryCap'),
+      discoverBtn: document.getElementById('discoverUrls'),
+      discoveryStatus: document.getElementById('discoveryStatus'),
+      crawlMode: document.getElementById('crawlMode'),
+      crawlDepth: document.getElementById('crawlDepth'),
+      crawlMaxPages: document.getElementById('crawlMaxPages'),
+      concurrency: document.getElementById('concurrency'),
+      compareMode: document.getElementById('compareMode'),
+      compareStaging: document.getElementById('compareStaging'),
+      compareProduction: document.getElementById('compareProduction'),
+      comparePaths: document.getElementById('comparePaths'),
+      perHostLimit: document.getElementById('perHostLimit'),
+      
+      // Monitors
+      monitorName: document.getElementById('monitorName'),
+      monitorSchedule: document.getElementById('monitorSchedule'),
+      monitorHour: document.getElementById('monitorHour'),
+      monitorDay: document.getElementById('monitorDay'),
+      saveMonitorBtn: document.getElementById('saveMonitor'),
+      monitorList: document.getElementById('monitorList'),
       apiKey: document.getElementById('apiKey'),
       modelName: document.getElementById('modelName'),
       apiKeyContainer: document.getElementById('apiKeyContainer'),
@@ -30,6 +78,8 @@ class QATestingPopup {
       progressPercent: document.getElementById('progressPercent'),
       progressFill: document.getElementById('progressFill'),
       currentUrl: document.getElementById('currentUrl'),
+      workerList: document.getElementById('workerList'),
+      checkpointWarning: document.getElementById('checkpointWarning'),
       resultsSection: document.getElementById('resultsSection'),
       errorSection: document.getElementById('errorSection'),
       errorMessage: document.getElementById('errorMessage'),
@@ -42,6 +92,13 @@ class QATestingPopup {
       fullScreenshots: document.getElementById('fullScreenshots'),
       spacingValidation: document.getElementById('spacingValidation'),
       brokenLinks: document.getElementById('brokenLinks'),
+      respectCrawlDelay: document.getElementById('respectCrawlDelay'),
+      stagingDetection: document.getElementById('stagingDetection'),
+      firebaseWriteProbe: document.getElementById('firebaseWriteProbe'),
+      securityHeaders: document.getElementById('securityHeaders'),
+      mixedContent: document.getElementById('mixedContent'),
+      privacyCheck: document.getElementById('privacyCheck'),
+      thirdPartyScripts: document.getElementById('thirdPartyScripts'),
       lighthouse: document.getElementById('lighthouse'),
       seoCheck: document.getElementById('seoCheck'),
       accessibility: document.getElementById('accessibility'),
@@ -69,8 +126,20 @@ class QATestingPopup {
     // API Key save
     this.elements.apiKey.addEventListener('blur', () => this.saveApiKey());
     
-    // Model name save
-    this.elements.modelName.addEventListener('blur', () => this.saveModelName());
+    // Model name is saved with the project
+    this.elements.modelName.addEventListener('blur', () => this.saveSettings());
+    
+    // Projects
+    this.elements.projectSelect.addEventListener('change', () => this.switchProject(this.elements.projectSelect.value));
+    this.elements.addProjectBtn.addEventListener('click', () => this.addProject());
+    this.elements.deleteProjectBtn.addEventListener('click', () => this.deleteProject());
+    [
+      'thresholdAccessibility', 'thresholdPerformance', 'thresholdSeo', 'thresholdMaxIssues',
+      'budgetTransferKb', 'budgetMainThreadMs', 'budgetRenderBlocking', 'budgetVendors',
+      'ignoreRules', 'stagingPatterns', 'promptVisual', 'promptTechnical'
+    ].forEach(key => {
+      this.elements[key].addEventListener('change', () => this.saveSettings());
+    });
     
     // Results actions
     this.elements.viewReportBtn?.addEventListener('click', () => this.viewReport());
@@ -82,6 +151,34 @@ class QATestingPopup {
       cb.addEventListener('change', () => this.saveSettings());
     });
     
+    // Batch URL list
+    this.elements.urlList.addEventListener('input', () => this.updateUrlCount());
+    this.elements.urlList.addEventListener('blur', () => this.saveSettings());
+    this.elements.discoverBtn.addEventListener('click', () => this.discoverUrls());
+    this.elements.crawlDepth.addEventListener('change', () => this.saveSettings());
+    this.elements.crawlMaxPages.addEventListener('change', () => this.saveSettings());
+    this.elements.concurrency.addEventListener('change', () => this.saveSettings());
+    this.elements.perHostLimit.addEventListener('change', () => this.saveSettings());
+    ['compareStaging', 'compareProduction', 'comparePaths'].forEach(key => {
+      this.elements[key].addEventListener('change', () => this.saveSettings());
+    });
+    
+    // Monitors
+    this.elements.saveMonitorBtn.addEventListener('click', () => this.saveMonitor());
+    this.elements.monitorSchedule.addEventListener('change', () => {
+      this.elements.monitorDay.style.display = this.elements.monitorSchedule.value === 'weekly' ? '' : 'none';
+    });
+    this.elements.monitorList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      
+      if (button.dataset.action === 'run') {
+        this.runMonitorNow(button.dataset.id);
+      } else if (button.dataset.action === 'delete') {
+        this.deleteMonitor(button.dataset.id);
+      }
+    });
+    
     // Save settings when view mode changes
     this.elements.desktopView.addEventListener('change', () => this.saveSettings());
     this.elements.mobileView.addEventListener('change', () => this.saveSettings());
@@ -109,16 +206,155 @@ class QATestingPopup {
     }
   }
 
+  getBatchUrls() {
+    const urls = [];
+    const invalid = [];
+    
+    this.elements.urlList.value.split('\n').forEach(line => {
+      const value = line.trim();
+      if (!value) return;
+      
+      try {
+        const url = new URL(value);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          throw new Error('Unsupported protocol');
+        }
+        if (!urls.includes(url.href)) {
+          urls.push(url.href);
+        }
+      } catch (e) {
+        invalid.push(value);
+      }
+    });
+    
+    return { urls, invalid };
+  }
+
+  updateUrlCount() {
+    this.elements.urlCount.textContent = this.getBatchUrls().urls.length;
+  }
+
+  getDiscoveryOptions() {
+    const splitGlobs = value => value.split(',').map(glob => glob.trim()).filter(Boolean);
+    
+    return {
+      siteRoot: this.elements.siteRoot.value.trim(),
+      include: splitGlobs(this.elements.includeGlobs.value),
+      exclude: splitGlobs(this.elements.excludeGlobs.value),
+      maxPages: parseInt(this.elements.discoveryCap.value) || 50
+    };
+  }
+
+  getComparisonOptions() {
+    return {
+      staging: this.elements.compareStaging.value.trim(),
+      production: this.elements.compareProduction.value.trim(),
+      paths: this.elements.comparePaths.value
+        .split('\n')
+        .map(path => path.trim())
+        .filter(Boolean)
+    };
+  }
+
+  getComparisonUrls() {
+    const { staging, production, paths } = this.getComparisonOptions();
+    const toBase = value => {
+      const url = new URL(value);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('Unsupported protocol');
+      }
+      return url.href.endsWith('/') ? url.href : `${url.href}/`;
+    };
+    
+    let bases;
+    try {
+      bases = [toBase(staging), toBase(production)];
+    } catch (e) {
+      throw new Error('Enter staging and production base URLs starting with http:// or https://');
+    }
+    
+    // Every path runs on both environments, staging first
+    return (paths.length > 0 ? paths : ['/']).flatMap(path =>
+      bases.map(base => new URL(path.replace(/^\/+/, ''), base).href)
+    );
+  }
+
+  async discoverUrls() {
+    const options = this.getDiscoveryOptions();
+    const siteRoot = options.siteRoot || this.activeTabUrl;
+    
+    if (!siteRoot) {
+      this.showError('Enter a site root or open an HTTP/HTTPS page to discover URLs');
+      return;
+    }
+    
+    this.elements.discoverBtn.disabled = true;
+    this.elements.discoveryStatus.textContent = 'Reading robots.txt and sitemaps...';
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'discoverUrls',
+        siteRoot: siteRoot,
+        options: options
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Discovery failed');
+      }
+      
+      const { urls, sitemaps, skipped, truncated, errors } = response.discovery;
+      
+      if (urls.length === 0) {
+        const reason = errors.length > 0 ? errors[0].error : 'no matching URLs';
+        this.elements.discoveryStatus.textContent = `No URLs found (${reason})`;
+        return;
+      }
+      
+      this.elements.urlList.value = urls.join('\n');
+      this.updateUrlCount();
+      await this.saveSettings();
+      
+      let status = `Found ${urls.length} URLs in ${sitemaps.length} sitemap(s)`;
+      if (skipped.filtered || skipped.disallowed) {
+        status += `, skipped ${skipped.filtered} filtered and ${skipped.disallowed} disallowed`;
+      }
+      if (truncated) {
+        status += ` (capped at ${options.maxPages})`;
+      }
+      this.elements.discoveryStatus.textContent = status;
+      
+    } catch (error) {
+      console.error('URL discovery failed:', error);
+      this.elements.discoveryStatus.textContent = '';
+      this.showError(error.message);
+    } finally {
+      this.elements.discoverBtn.disabled = false;
+    }
+  }
+
   getTestConfig() {
     return {
       viewMode: this.elements.desktopView.checked ? 'desktop' : 'mobile',
+      crawlMode: this.elements.crawlMode.checked,
+      crawlDepth: parseInt(this.elements.crawlDepth.value) || 2,
+      crawlMaxPages: parseInt(this.elements.crawlMaxPages.value) || 50,
+      concurrency: parseInt(this.elements.concurrency.value) || 1,
+      perHostLimit: parseInt(this.elements.perHostLimit.value) || 2,
       fullScreenshots: this.elements.fullScreenshots.checked,
       spacingValidation: this.elements.spacingValidation.checked,
       brokenLinks: this.elements.brokenLinks.checked,
+      respectCrawlDelay: this.elements.respectCrawlDelay.checked,
+      stagingDetection: this.elements.stagingDetection.checked,
+      firebaseWriteProbe: this.elements.firebaseWriteProbe.checked,
+      securityHeaders: this.elements.securityHeaders.checked,
+      mixedContent: this.elements.mixedContent.checked,
+      privacyCheck: this.elements.privacyCheck.checked,
+      thirdPartyScripts: this.elements.thirdPartyScripts.checked,
       lighthouse: this.elements.lighthouse.checked,
       seoCheck: this.elements.seoCheck.checked,
       accessibility: this.elements.accessibility.checked,
-      aiAnalysis: this.elements.aiAnalysis.checked
+      aiAnalysis: this.elements.aiAnalysis.checked,
+      projectId: this.activeProjectId
     };
   }
 
@@ -126,14 +362,45 @@ class QATestingPopup {
     // Get the current active tab again to ensure it's still valid
     await this.getActiveTab();
     
+    // Comparison runs use their own paths
+    if (this.elements.compareMode.checked) {
+      let comparisonUrls;
+      try {
+        comparisonUrls = this.getComparisonUrls();
+      } catch (error) {
+        this.showError(error.message);
+        return;
+      }
+      
+      const { staging, production } = this.getComparisonOptions();
+      return this.launchTest(comparisonUrls, {
+        ...this.getTestConfig(),
+        crawlMode: false,
+        comparison: { staging, production }
+      });
+    }
+    
+    // Crawl mode always starts from the active tab; otherwise batch URLs
+    // take precedence over it
+    const crawlMode = this.elements.crawlMode.checked;
+    const batch = crawlMode ? { urls: [], invalid: [] } : this.getBatchUrls();
+    if (batch.invalid.length > 0) {
+      this.showError(`Invalid URL: ${batch.invalid[0]}`);
+      return;
+    }
+    
     // Validate active tab
-    if (!this.activeTabUrl) {
+    if (batch.urls.length === 0 && !this.activeTabUrl) {
       this.showError('Cannot test this page. Please navigate to an HTTP/HTTPS website.');
       return;
     }
+    const urls = batch.urls.length > 0 ? batch.urls : [this.activeTabUrl];
     
+    return this.launchTest(urls, this.getTestConfig());
+  }
+
+  async launchTest(urls, config) {
     // Validate API key if AI analysis is enabled
-    const config = this.getTestConfig();
     if (config.aiAnalysis) {
       const apiKey = this.elements.apiKey.value.trim();
       if (!apiKey) {
@@ -142,13 +409,9 @@ class QATestingPopup {
         return;
       }
       
-      const modelName = this.elements.modelName.value.trim() || 'google/gemini-2.0-flash-exp:free';
-      
-      // Save API key and model
-      await chrome.storage.local.set({ 
-        openrouterApiKey: apiKey,
-        openrouterModel: modelName
-      });
+      // Save API key (shared by all projects) and the project's model
+      await chrome.storage.local.set({ openrouterApiKey: apiKey });
+      await this.saveSettings();
     }
     
     // Update UI
@@ -162,7 +425,7 @@ class QATestingPopup {
       // Send message to background script to start testing
       const response = await chrome.runtime.sendMessage({
         action: 'startTesting',
-        urls: [this.activeTabUrl],  // Send as array for compatibility
+        urls: urls,
         config: config
       });
       
@@ -242,7 +505,7 @@ class QATestingPopup {
   }
 
   updateProgress(progress) {
-    const { current, total, currentUrl, status } = progress;
+    const { current, total, currentUrl, status, workers, checkpointError } = progress;
     const percent = Math.round((current / total) * 100);
     
     this.elements.progressStatus.textContent = status || 'Processing...';
@@ -252,6 +515,26 @@ class QATestingPopup {
     if (currentUrl) {
       this.elements.currentUrl.textContent = currentUrl;
     }
+    
+    // Per-worker progress when testing in parallel
+    const activeWorkers = (workers || []).length > 1 ? workers : [];
+    this.elements.workerList.innerHTML = activeWorkers.map(worker => `
+      <div class="worker-item">
+        <strong>Tab ${worker.id}</strong>
+        <span>${this.escapeHtml(worker.status)}</span>
+        <span>${this.escapeHtml(worker.url)}</span>
+      </div>
+    `).join('');
+    
+    this.elements.checkpointWarning.textContent = checkpointError || '';
+    this.elements.checkpointWarning.style.display = checkpointError ? 'block' : 'none';
+  }
+
+  escapeHtml(text) {
+    // Crawled URLs come from outside the extension
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
   }
 
   onTestingComplete(results) {
@@ -262,7 +545,8 @@ class QATestingPopup {
     
     // Update results summary
     if (results) {
-      this.elements.urlsTested.textContent = '1';  // Always 1 for active tab
+      this.elements.urlsTested.textContent = results.urls?.length || 0;
+      this.loadProjectHistory();
       this.elements.issuesFound.textContent = results.totalIssues || 0;
       this.elements.screenshotCount.textContent = results.screenshots?.length || 0;
     }
@@ -361,63 +645,378 @@ class QATestingPopup {
     URL.revokeObjectURL(url);
   }
 
+  getThresholdValue(element) {
+    const value = parseInt(element.value);
+    return isNaN(value) ? null : value;
+  }
+
+  getActiveProject() {
+    return this.projects.find(p => p.id === this.activeProjectId);
+  }
+
+  createProject(name, settings = {}, aiModel = '') {
+    return {
+      id: `project_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: name,
+      settings: settings,
+      aiModel: aiModel,
+      thresholds: { accessibility: null, performance: null, seo: null, maxIssues: null },
+      ignoreRules: [],
+      stagingPatterns: [],
+      promptOverrides: { visual: '', technical: '' },
+      createdAt: Date.now()
+    };
+  }
+
   async saveSettings() {
-    const settings = {
-      testConfig: this.getTestConfig()
-      // No URLs to save anymore
+    const project = this.getActiveProject();
+    if (!project) return;
+    
+    project.settings = {
+      testConfig: this.getTestConfig(),
+      urlList: this.elements.urlList.value,
+      discovery: this.getDiscoveryOptions(),
+      comparison: this.getComparisonOptions()
+    };
+    project.aiModel = this.elements.modelName.value.trim();
+    const transferKb = this.getThresholdValue(this.elements.budgetTransferKb);
+    project.thresholds = {
+      accessibility: this.getThresholdValue(this.elements.thresholdAccessibility),
+      performance: this.getThresholdValue(this.elements.thresholdPerformance),
+      seo: this.getThresholdValue(this.elements.thresholdSeo),
+      maxIssues: this.getThresholdValue(this.elements.thresholdMaxIssues),
+      // Empty fields fall back to the third-party auditor's defaults
+      thirdPartyBudget: {
+        transferBytes: transferKb === null ? null : transferKb * 1024,
+        mainThreadMs: this.getThresholdValue(this.elements.budgetMainThreadMs),
+        renderBlocking: this.getThresholdValue(this.elements.budgetRenderBlocking),
+        vendors: this.getThresholdValue(this.elements.budgetVendors)
+      }
+    };
+    project.ignoreRules = this.elements.ignoreRules.value
+      .split('\n')
+      .map(rule => rule.trim())
+      .filter(Boolean);
+    project.stagingPatterns = this.elements.stagingPatterns.value
+      .split('\n')
+      .map(pattern => pattern.trim())
+      .filter(Boolean);
+    project.promptOverrides = {
+      visual: this.elements.promptVisual.value.trim(),
+      technical: this.elements.promptTechnical.value.trim()
     };
     
-    await chrome.storage.local.set({ qaTestSettings: settings });
+    await chrome.storage.local.set({ 
+      qaProjects: this.projects,
+      activeProjectId: this.activeProjectId
+    });
   }
 
   async loadSavedSettings() {
     try {
-      const data = await chrome.storage.local.get(['qaTestSettings', 'openrouterApiKey', 'openrouterModel']);
-      
-      if (data.qaTestSettings) {
-        // Load test config
-        if (data.qaTestSettings.testConfig) {
-          const config = data.qaTestSettings.testConfig;
-          Object.keys(config).forEach(key => {
-            if (this.elements[key]) {
-              this.elements[key].checked = config[key];
-            }
-          });
-        }
+      const data = await chrome.storage.local.get([
+        'qaProjects', 'activeProjectId', 'qaTestSettings', 'openrouterApiKey', 'openrouterModel'
+      ]);
+      
+      this.projects = data.qaProjects || [];
+      
+      // First run with projects: move the old global settings into a default project
+      if (this.projects.length === 0) {
+        this.projects.push(this.createProject('Default', data.qaTestSettings || {}, data.openrouterModel || ''));
       }
       
+      this.activeProjectId = this.projects.some(p => p.id === data.activeProjectId) 
+        ? data.activeProjectId 
+        : this.projects[0].id;
+      
+      this.renderProjectOptions();
+      this.applyProject(this.getActiveProject());
+      
       // Load API key
       if (data.openrouterApiKey) {
         this.elements.apiKey.value = data.openrouterApiKey;
       }
       
-      // Load model name
-      if (data.openrouterModel) {
-        this.elements.modelName.value = data.openrouterModel;
-      }
-      
-      // Update API key container visibility
-      this.elements.apiKeyContainer.classList.toggle(
-        'hidden', 
-        !this.elements.aiAnalysis.checked
-      );
+      await chrome.storage.local.set({ 
+        qaProjects: this.projects,
+        activeProjectId: this.activeProjectId
+      });
+      await this.loadProjectHistory();
       
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
   }
 
+  renderProjectOptions() {
+    this.elements.projectSelect.replaceChildren(...this.projects.map(project => {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = project.name;
+      option.selected = project.id === this.activeProjectId;
+      return option;
+    }));
+    this.elements.deleteProjectBtn.disabled = this.projects.length <= 1;
+  }
+
+  applyProject(project) {
+    const settings = project.settings || {};
+    
+    // Load test config
+    if (settings.testConfig) {
+      const config = settings.testConfig;
+      Object.keys(config).forEach(key => {
+        const element = this.elements[key];
+        if (!element) return;
+        
+        if (element.type === 'checkbox') {
+          element.checked = config[key];
+        } else {
+          element.value = config[key];
+        }
+      });
+    }
+    
+    // Load discovery options
+    const discovery = settings.discovery || {};
+    this.elements.siteRoot.value = discovery.siteRoot || '';
+    this.elements.includeGlobs.value = (discovery.include || []).join(', ');
+    this.elements.excludeGlobs.value = (discovery.exclude || []).join(', ');
+    this.elements.discoveryCap.value = discovery.maxPages || 50;
+    this.elements.discoveryStatus.textContent = '';
+    
+    // Load comparison bases and paths
+    const comparison = settings.comparison || {};
+    this.elements.compareStaging.value = comparison.staging || '';
+    this.elements.compareProduction.value = comparison.production || '';
+    this.elements.comparePaths.value = (comparison.paths || []).join('\n');
+    
+    // Load batch URLs
+    this.elements.urlList.value = settings.urlList || '';
+    this.updateUrlCount();
+    
+    // Load model name
+    this.elements.modelName.value = project.aiModel || 'google/gemini-2.0-flash-exp:free';
+    
+    // Load project settings
+    const thresholds = project.thresholds || {};
+    this.elements.thresholdAccessibility.value = thresholds.accessibility ?? '';
+    this.elements.thresholdPerformance.value = thresholds.performance ?? '';
+    this.elements.thresholdSeo.value = thresholds.seo ?? '';
+    this.elements.thresholdMaxIssues.value = thresholds.maxIssues ?? '';
+    const budget = thresholds.thirdPartyBudget || {};
+    this.elements.budgetTransferKb.value = budget.transferBytes != null ? Math.round(budget.transferBytes / 1024) : '';
+    this.elements.budgetMainThreadMs.value = budget.mainThreadMs ?? '';
+    this.elements.budgetRenderBlocking.value = budget.renderBlocking ?? '';
+    this.elements.budgetVendors.value = budget.vendors ?? '';
+    this.elements.ignoreRules.value = (project.ignoreRules || []).join('\n');
+    this.elements.stagingPatterns.value = (project.stagingPatterns || []).join('\n');
+    this.elements.promptVisual.value = project.promptOverrides?.visual || '';
+    this.elements.promptTechnical.value = project.promptOverrides?.technical || '';
+    
+    // Update API key container visibility
+    this.elements.apiKeyContainer.classList.toggle(
+      'hidden', 
+      !this.elements.aiAnalysis.checked
+    );
+  }
+
+  async switchProject(projectId) {
+    // Keep any unsaved edits with the project being left
+    await this.saveSettings();
+    
+    this.activeProjectId = projectId;
+    this.applyProject(this.getActiveProject());
+    this.renderProjectOptions();
+    
+    await chrome.storage.local.set({ activeProjectId: projectId });
+    await this.loadProjectHistory();
+  }
+
+  async addProject() {
+    const name = this.elements.newProjectName.value.trim();
+    if (!name) {
+      this.showError('Enter a name for the new project');
+      this.elements.newProjectName.focus();
+      return;
+    }
+    
+    await this.saveSettings();
+    
+    // New projects start from the current configuration
+    const current = this.getActiveProject();
+    const project = this.createProject(name, { testConfig: this.getTestConfig() }, current?.aiModel || '');
+    this.projects.push(project);
+    this.elements.newProjectName.value = '';
+    
+    await this.switchProject(project.id);
+  }
+
+  async deleteProject() {
+    if (this.projects.length <= 1) return;
+    
+    const project = this.getActiveProject();
+    this.projects = this.projects.filter(p => p.id !== project.id);
+    this.activeProjectId = this.projects[0].id;
+    
+    const data = await chrome.storage.local.get(['qaProjectHistory']);
+    const history = data.qaProjectHistory || {};
+    delete history[project.id];
+    
+    await chrome.storage.local.set({ 
+      qaProjects: this.projects,
+      activeProjectId: this.activeProjectId,
+      qaProjectHistory: history
+    });
+    
+    this.applyProject(this.getActiveProject());
+    this.renderProjectOptions();
+    await this.loadProjectHistory();
+  }
+
+  async loadProjectHistory() {
+    try {
+      const data = await chrome.storage.local.get(['qaProjectHistory']);
+      const runs = (data.qaProjectHistory || {})[this.activeProjectId] || [];
+      
+      if (runs.length === 0) {
+        this.elements.projectHistory.innerHTML = '<div class="history-item">No runs yet</div>';
+        return;
+      }
+      
+      this.elements.projectHistory.innerHTML = runs.slice(0, 5).map(run => `
+        <div class="history-item">
+          <span>${new Date(run.endTime || run.startTime).toLocaleString()}</span>
+          <span>${run.urlCount} URLs · ${run.totalIssues} issues</span>
+          ${run.thresholdsPassed === false ? '<span class="failed">Below threshold</span>' : ''}
+        </div>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load project history:', error);
+    }
+  }
+
   async saveApiKey() {
     const apiKey = this.elements.apiKey.value.trim();
     if (apiKey) {
       await chrome.storage.local.set({ openrouterApiKey: apiKey });
     }
   }
-  
-  async saveModelName() {
-    const modelName = this.elements.modelName.value.trim();
-    if (modelName) {
-      await chrome.storage.local.set({ openrouterModel: modelName });
+
+  async loadMonitors() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getMonitors' });
+      if (response.success) {
+        this.renderMonitors(response.monitors, response.history);
+      }
+    } catch (error) {
+      console.error('Failed to load monitors:', error);
+    }
+  }
+
+  renderMonitors(monitors, history) {
+    this.elements.monitorList.innerHTML = monitors.map(monitor => {
+      const lastRun = history[monitor.id]?.[0];
+      const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      const schedule = monitor.schedule === 'weekly' && days[monitor.day]
+        ? `weekly on ${days[monitor.day]}`
+        : monitor.schedule;
+      let meta = `${this.escapeHtml(schedule)} · ${monitor.urls.length} URL${monitor.urls.length === 1 ? '' : 's'}`;
+      
+      if (lastRun) {
+        meta += ` · last run ${new Date(lastRun.endTime || lastRun.startTime).toLocaleString()}: ${lastRun.totalIssues} issues`;
+        if (lastRun.newCritical.length > 0) {
+          meta += ` <span class="new-critical">(${lastRun.newCritical.length} new critical)</span>`;
+        }
+      } else {
+        meta += ' · not run yet';
+      }
+      
+      return `
+        <div class="monitor-item">
+          <div class="monitor-info">
+            <div class="monitor-name" title="${this.escapeHtml(monitor.urls.join('\n'))}">${this.escapeHtml(monitor.name)}</div>
+            <div class="monitor-meta">${meta}</div>
+          </div>
+          <button data-action="run" data-id="${this.escapeHtml(monitor.id)}">Run</button>
+          <button data-action="delete" data-id="${this.escapeHtml(monitor.id)}">Delete</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async saveMonitor() {
+    await this.getActiveTab();
+    
+    const batch = this.getBatchUrls();
+    if (batch.invalid.length > 0) {
+      this.showError(`Invalid URL: ${batch.invalid[0]}`);
+      return;
+    }
+    
+    const urls = batch.urls.length > 0 ? batch.urls : (this.activeTabUrl ? [this.activeTabUrl] : []);
+    if (urls.length === 0) {
+      this.showError('Add batch URLs or open an HTTP/HTTPS page to create a monitor');
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveMonitor',
+        monitor: {
+          name: this.elements.monitorName.value.trim(),
+          urls: urls,
+          config: this.getTestConfig(),
+          schedule: this.elements.monitorSchedule.value,
+          hour: parseInt(this.elements.monitorHour.value),
+          day: parseInt(this.elements.monitorDay.value)
+        }
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to save monitor');
+      }
+      
+      this.elements.monitorName.value = '';
+      await this.loadMonitors();
+    } catch (error) {
+      console.error('Failed to save monitor:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async runMonitorNow(monitorId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'runMonitorNow',
+        monitorId: monitorId
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to run monitor');
+      }
+      
+      // Follow the run like a manual test
+      this.isRunning = true;
+      this.currentTestId = response.testId;
+      this.updateUI();
+      this.startProgressMonitoring();
+    } catch (error) {
+      console.error('Failed to run monitor:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async deleteMonitor(monitorId) {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'deleteMonitor',
+        monitorId: monitorId
+      });
+      await this.loadMonitors();
+    } catch (error) {
+      console.error('Failed to delete monitor:', error);
+      this.showError(error.message);
     }
   }
 
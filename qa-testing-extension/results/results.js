@@ -53,6 +53,14 @@ class ResultsPage {
       performanceValue: document.getElementById('performanceValue'),
       seoScore: document.getElementById('seoScore'),
       seoValue: document.getElementById('seoValue'),
+      layoutScore: document.getElementById('layoutScore'),
+      layoutValue: document.getElementById('layoutValue'),
+      linksScore: document.getElementById('linksScore'),
+      linksValue: document.getElementById('linksValue'),
+      stagingScore: document.getElementById('stagingScore'),
+      stagingValue: document.getElementById('stagingValue'),
+      securityScore: document.getElementById('securityScore'),
+      securityValue: document.getElementById('securityValue'),
       
       // Tabs
       tabs: document.querySelectorAll('.tab'),
@@ -65,6 +73,8 @@ class ResultsPage {
       urlTabs: document.getElementById('urlTabs'),
       screenshotsGrid: document.getElementById('screenshotsGrid'),
       rawDataContent: document.getElementById('rawDataContent'),
+      comparisonTab: document.getElementById('comparisonTab'),
+      comparisonContent: document.getElementById('comparisonContent'),
       
       
       
@@ -125,36 +135,71 @@ class ResultsPage {
     this.renderVisualReport();
     this.renderTechnicalReport();
     this.renderScreenshots();
+    this.renderComparison();
     this.renderRawData();
   }
   
   renderUrlTabs() {
-    // Hide URL tabs since we're only testing one URL at a time
-    this.elements.urlTabs.style.display = 'none';
+    const urls = this.testResults.urls || [];
     
-    // Set the current URL to the single tested URL
-    if (this.testResults.urls && this.testResults.urls.length > 0) {
-      this.currentUrl = this.testResults.urls[0].url;
+    // Start on the first tested URL
+    if (urls.length > 0) {
+      this.currentUrl = urls[0].url;
     }
+    
+    // URL tabs are only needed when more than one URL was tested
+    if (urls.length <= 1) {
+      this.elements.urlTabs.style.display = 'none';
+      return;
+    }
+    
+    this.elements.urlTabs.innerHTML = urls.map(urlResult => {
+      const issueCount = this.countIssues(urlResult.issues);
+      let label = urlResult.url;
+      try {
+        const parsed = new URL(urlResult.url);
+        label = parsed.hostname + parsed.pathname;
+      } catch (e) {
+        // Keep the raw URL as the label
+      }
+      
+      return `
+        <button class="url-tab" data-url="${this.escapeHtml(urlResult.url)}" title="${this.escapeHtml(urlResult.url)}">
+          <span class="url-tab-icon">📄</span> ${this.escapeHtml(label)}
+          ${issueCount ? `(${issueCount})` : ''}
+        </button>
+      `;
+    }).join('');
+    this.elements.urlTabs.style.display = 'flex';
+    
+    this.elements.urlTabs.querySelectorAll('.url-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.currentUrl = tab.dataset.url;
+        this.updateUrlTabs();
+        this.refreshReports();
+      });
+    });
+    
+    this.updateUrlTabs();
   }
   
   updateUrlTabs() {
     const tabs = this.elements.urlTabs.querySelectorAll('.url-tab');
-    tabs.forEach((tab, index) => {
-      if (index === 0) {
-        // "All URLs" tab
-        tab.classList.toggle('active', !this.currentUrl);
-      } else {
-        // Individual URL tabs
-        const urlDomain = tab.textContent.trim().replace('📄 ', '');
-        const isActive = this.testResults.urls.some(u => 
-          new URL(u.url).hostname === urlDomain && u.url === this.currentUrl
-        );
-        tab.classList.toggle('active', isActive);
-      }
+    tabs.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.url === this.currentUrl);
     });
   }
   
+  countIssues(issues) {
+    // Informational findings are not counted as issues
+    return (issues || []).filter(issue => issue.severity !== 'info').length;
+  }
+  
+  getCurrentUrlResult() {
+    const urls = this.testResults.urls || [];
+    return urls.find(u => u.url === this.currentUrl) || urls[0];
+  }
+  
   refreshReports() {
     this.renderOverview();
     this.renderVisualReport();
@@ -165,16 +210,21 @@ class ResultsPage {
   renderOverview() {
     if (!this.elements.overviewContent) return;
     
-    // Always show overview for the single URL tested
-    const urlResult = this.testResults.urls && this.testResults.urls[0];
+    // Show overview for the selected URL
+    const urlResult = this.getCurrentUrlResult();
     if (urlResult) {
+      const screenshots = (this.testResults.screenshots || []).filter(s => s.url === urlResult.url);
       this.elements.overviewContent.innerHTML = `
-        <h3>${urlResult.url}</h3>
+        <h3>${this.escapeHtml(urlResult.url)}</h3>
         <div class="overview-stats">
-          <div>Issues Found: ${urlResult.issues.length}</div>
+          <div>Issues Found: ${this.countIssues(urlResult.issues)}</div>
           <div>Tests Run: ${Object.keys(urlResult.tests || {}).length}</div>
-          <div>Screenshots Captured: ${this.testResults.screenshots?.length || 0}</div>
+          <div>Screenshots Captured: ${screenshots.length}</div>
+          ${urlResult.error ? `<div>Error: ${this.escapeHtml(urlResult.error)}</div>` : ''}
         </div>
+        ${this.renderPrivacy(urlResult.tests?.privacy)}
+        ${this.renderThirdPartyBudget(urlResult.tests?.thirdParty)}
+        ${this.renderThresholds()}
       `;
     } else {
       this.elements.overviewContent.innerHTML = `
@@ -185,10 +235,122 @@ class ResultsPage {
     }
   }
 
+  renderPrivacy(privacy) {
+    if (!privacy || privacy.error) return '';
+    
+    const banner = privacy.banner?.detected
+      ? `Consent banner: ${privacy.banner.provider === 'custom' ? 'detected' : privacy.banner.provider}`
+      : 'Consent banner: not detected';
+    const vendors = privacy.thirdParties.map(group => `
+      <tr>
+        <td>${this.escapeHtml(group.vendor)}</td>
+        <td>${group.category.replace(/_/g, ' ')}</td>
+        <td>${group.requestCount}</td>
+        <td>${group.tracking && privacy.consentState !== 'stored' ? '⚠ before consent' : ''}</td>
+      </tr>
+    `).join('');
+    const cookies = privacy.cookies.map(cookie => `
+      <tr>
+        <td>${this.escapeHtml(cookie.name)}</td>
+        <td>${this.escapeHtml(cookie.domain)}</td>
+        <td>${cookie.expires === 'session' ? 'session' : `${cookie.lifetimeDays} days`}</td>
+        <td>${[cookie.secure && 'Secure', cookie.httpOnly && 'HttpOnly', `SameSite=${cookie.sameSite}`].filter(Boolean).join(', ')}</td>
+        <td>${cookie.setOnLoad === false ? 'already in profile' : 'this load'}</td>
+      </tr>
+    `).join('');
+    
+    return `
+      <div class="privacy-inventory">
+        <h4>Privacy</h4>
+        <div>${banner}${privacy.consentState === 'stored' ? ` (consent already stored in ${this.escapeHtml(privacy.consentCookie)})` : ''}</div>
+        <div>Storage: ${privacy.storage?.localStorage?.length || 0} localStorage, ${privacy.storage?.sessionStorage?.length || 0} sessionStorage entries</div>
+        ${vendors ? `
+          <table class="comparison-table">
+            <thead><tr><th>Third party</th><th>Category</th><th>Requests</th><th></th></tr></thead>
+            <tbody>${vendors}</tbody>
+          </table>
+        ` : ''}
+        ${cookies ? `
+          <table class="comparison-table">
+            <thead><tr><th>Cookie</th><th>Domain</th><th>Expires</th><th>Flags</th><th>Set by</th></tr></thead>
+            <tbody>${cookies}</tbody>
+          </table>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderThirdPartyBudget(thirdParty) {
+    if (!thirdParty || thirdParty.error || thirdParty.budgetTable.length === 0) return '';
+    
+    const { totals, budget } = thirdParty;
+    const kb = bytes => `${Math.round(bytes / 1024)} KB`;
+    const over = (value, limit) => value > limit ? 'threshold-fail' : '';
+    const rows = thirdParty.budgetTable.map(row => `
+      <tr>
+        <td>${this.escapeHtml(row.vendor)}</td>
+        <td>${row.category.replace(/_/g, ' ')}</td>
+        <td>${row.scripts} / ${row.stylesheets}</td>
+        <td>${kb(row.transferBytes)}${row.sizeUnknown ? ` (+${row.sizeUnknown} unknown)` : ''}</td>
+        <td>${thirdParty.mainThreadMeasured ? `${row.mainThreadMs} ms` : 'n/a'}</td>
+        <td>${row.renderBlocking}</td>
+        <td>${row.missingIntegrity}</td>
+      </tr>
+    `).join('');
+    
+    return `
+      <div class="privacy-inventory">
+        <h4>Third-Party Budget</h4>
+        <table class="comparison-table">
+          <thead><tr><th>Vendor</th><th>Category</th><th>Scripts / CSS</th><th>Transfer</th><th>Main thread</th><th>Render-blocking</th><th>No SRI</th></tr></thead>
+          <tbody>${rows}</tbody>
+          <tfoot>
+            <tr>
+              <th>Total (${totals.vendors} vendors)</th>
+              <th></th>
+              <th>${totals.resources}</th>
+              <th class="${over(totals.transferBytes, budget.transferBytes)}">${kb(totals.transferBytes)} / ${kb(budget.transferBytes)}</th>
+              <th class="${over(totals.mainThreadMs, budget.mainThreadMs)}">${thirdParty.mainThreadMeasured ? `${totals.mainThreadMs} / ${budget.mainThreadMs} ms` : 'n/a'}</th>
+              <th class="${over(totals.renderBlocking, budget.renderBlocking)}">${totals.renderBlocking} / ${budget.renderBlocking}</th>
+              <th>${totals.missingIntegrity}</th>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    `;
+  }
+
+  renderThresholds() {
+    const { project, thresholds, ignoredIssues } = this.testResults;
+    if (!project) return '';
+    
+    const labels = {
+      accessibility: 'Accessibility score',
+      performance: 'Performance score',
+      seo: 'SEO score',
+      maxIssues: 'Total issues'
+    };
+    
+    const rows = Object.entries(thresholds?.checks || {}).map(([key, check]) => `
+      <div class="${check.passed ? 'threshold-pass' : 'threshold-fail'}">
+        ${check.passed ? '✓' : '✗'} ${labels[key] || key}: ${check.actual} 
+        (${check.minimum !== undefined ? `minimum ${check.minimum}` : `maximum ${check.maximum}`})
+      </div>
+    `).join('');
+    
+    return `
+      <div class="project-thresholds">
+        <h4>Project: ${this.escapeHtml(project.name)}</h4>
+        ${rows || '<div>No thresholds configured</div>'}
+        ${ignoredIssues ? `<div>${ignoredIssues} issues hidden by ignore rules</div>` : ''}
+      </div>
+    `;
+  }
+
   renderSummary() {
     const { urls, totalIssues, screenshots, duration } = this.testResults;
     
-    this.elements.urlCount.textContent = '1';  // Always 1 URL for active tab testing
+    this.elements.urlCount.textContent = urls?.length || 0;
     this.elements.issueCount.textContent = totalIssues || 0;
     this.elements.screenshotCount.textContent = screenshots?.length || 0;
     
@@ -198,31 +360,32 @@ class ResultsPage {
   }
 
   renderScores() {
-    // Calculate average scores from test results
-    let accessibilityTotal = 0;
-    let performanceTotal = 0;
-    let seoTotal = 0;
-    let count = 0;
-    
-    this.testResults.urls?.forEach(url => {
-      if (url.tests?.accessibility?.score !== undefined) {
-        accessibilityTotal += url.tests.accessibility.score;
-      }
-      if (url.tests?.performance?.score !== undefined) {
-        performanceTotal += url.tests.performance.score;
-      }
-      if (url.tests?.seo?.score !== undefined) {
-        seoTotal += url.tests.seo.score;
+    // Average each category over the URLs where that check ran
+    const categories = {
+      accessibility: 'accessibility',
+      performance: 'performance',
+      seo: 'seo',
+      security: 'security',
+      layout: 'layout',
+      links: 'brokenLinks',
+      staging: 'staging'
+    };
+    const scores = {};
+    
+    Object.entries(categories).forEach(([type, testKey]) => {
+      const values = (this.testResults.urls || [])
+        .map(url => url.tests?.[testKey]?.score)
+        .filter(score => score !== undefined);
+      
+      if (values.length > 0) {
+        scores[type] = Math.round(values.reduce((total, score) => total + score, 0) / values.length);
       }
-      count++;
     });
     
-    const accessibilityScore = count > 0 ? Math.round(accessibilityTotal / count) : 0;
-    const performanceScore = count > 0 ? Math.round(performanceTotal / count) : 0;
-    const seoScore = count > 0 ? Math.round(seoTotal / count) : 0;
-    
-    // Calculate overall score
-    const overallScore = Math.round((accessibilityScore + performanceScore + seoScore) / 3);
+    // Overall score only counts the categories that were tested
+    const ranScores = Object.values(scores);
+    const overallScore = ranScores.length > 0 ?
+      Math.round(ranScores.reduce((total, score) => total + score, 0) / ranScores.length) : 0;
     
     // Update overall score circle
     this.elements.scoreText.textContent = overallScore;
@@ -238,9 +401,9 @@ class ResultsPage {
     this.elements.scoreCircle.style.stroke = color;
     
     // Update individual scores
-    this.updateScoreBar('accessibility', accessibilityScore);
-    this.updateScoreBar('performance', performanceScore);
-    this.updateScoreBar('seo', seoScore);
+    Object.keys(categories).forEach(type => {
+      this.updateScoreBar(type, scores[type] || 0);
+    });
   }
 
   updateScoreBar(type, score) {
@@ -267,8 +430,8 @@ class ResultsPage {
     
     let visualReport = null;
     
-    // Get the single URL that was tested
-    const testedUrl = this.testResults.urls && this.testResults.urls[0]?.url;
+    // Get the URL currently selected in the URL tabs
+    const testedUrl = this.getCurrentUrlResult()?.url;
     
     if (testedUrl && this.testResults.aiReports?.[testedUrl]) {
       visualReport = this.testResults.aiReports[testedUrl].visual;
@@ -296,8 +459,8 @@ class ResultsPage {
     
     let technicalReport = null;
     
-    // Get the single URL that was tested
-    const testedUrl = this.testResults.urls && this.testResults.urls[0]?.url;
+    // Get the URL currently selected in the URL tabs
+    const testedUrl = this.getCurrentUrlResult()?.url;
     
     if (testedUrl && this.testResults.aiReports?.[testedUrl]) {
       technicalReport = this.testResults.aiReports[testedUrl].technical;
@@ -453,8 +616,9 @@ class ResultsPage {
 
 
   renderScreenshots() {
-    // Show all screenshots since we're only testing one URL
-    let screenshots = this.testResults.screenshots || [];
+    // Show screenshots for the selected URL
+    const testedUrl = this.getCurrentUrlResult()?.url;
+    let screenshots = (this.testResults.screenshots || []).filter(s => !testedUrl || s.url === testedUrl);
     
     if (screenshots.length === 0) {
       this.elements.screenshotsGrid.innerHTML = `
@@ -486,7 +650,7 @@ class ResultsPage {
           <div class="screenshot-item" data-index="${index}">
             <img class="screenshot-image" src="${imageUrl}" alt="${type} screenshot">
             <div class="screenshot-info">
-              <div class="screenshot-url">${screenshot.url}</div>
+              <div class="screenshot-url">${this.escapeHtml(screenshot.url)}</div>
               <div class="screenshot-meta">
                 <span class="screenshot-type">${type}</span>
                 <span class="screenshot-dimensions">${width}×${height}px</span>
@@ -554,6 +718,146 @@ class ResultsPage {
 
 
 
+  renderComparison() {
+    const comparison = this.testResults.comparison;
+    if (!comparison || !this.elements.comparisonContent) return;
+    
+    this.elements.comparisonTab.style.display = '';
+    const { summary, pages } = comparison;
+    const screenshots = this.testResults.screenshots || [];
+    
+    const pagesHTML = pages.map(page => {
+      const fields = page.fields || {};
+      const rows = [];
+      
+      ['title', 'metaDescription', 'canonical'].forEach(key => {
+        const field = fields[key];
+        if (!field || field.same) return;
+        rows.push(this.renderComparisonRow(this.formatFieldName(key), field.staging, field.production));
+      });
+      
+      ['headings', 'links'].forEach(key => {
+        const field = fields[key];
+        if (!field || field.same) return;
+        rows.push(this.renderComparisonRow(
+          `${this.formatFieldName(key)} (${field.stagingCount} vs ${field.productionCount})`,
+          field.onlyStaging.map(item => `+ ${item}`).join('\n'),
+          field.onlyProduction.map(item => `+ ${item}`).join('\n')
+        ));
+      });
+      
+      if (fields.structuredData && !fields.structuredData.same) {
+        rows.push(this.renderComparisonRow(
+          'Structured data types',
+          fields.structuredData.types.staging.join(', ') || '(none)',
+          fields.structuredData.types.production.join(', ') || '(none)'
+        ));
+      }
+      
+      if (fields.issues && !fields.issues.same) {
+        rows.push(this.renderComparisonRow(
+          `Issues (${fields.issues.staging} vs ${fields.issues.production})`,
+          fields.issues.changed.map(change => `${this.formatIssueType(change.type)}: ${change.staging}`).join('\n'),
+          fields.issues.changed.map(change => `${this.formatIssueType(change.type)}: ${change.production}`).join('\n')
+        ));
+      }
+      
+      // Side-by-side captures when the images are still stored
+      let screenshotHTML = '';
+      const shot = fields.screenshot;
+      if (shot && !shot.compared) {
+        screenshotHTML = `
+          <div class="comparison-unverified">Screenshot not verified: ${this.escapeHtml(shot.reason)}</div>
+        `;
+      } else if (shot?.compared) {
+        const image = url => {
+          const match = screenshots.find(s => s.url === url && (s.type || 'desktop') === shot.type);
+          return match?.fullPageDataUrl || match?.data;
+        };
+        const stagingImage = image(page.stagingUrl);
+        const productionImage = image(page.productionUrl);
+        
+        screenshotHTML = `
+          <div class="${shot.same ? 'threshold-pass' : 'threshold-fail'}">
+            Screenshot (${shot.type}): ${(shot.mismatch * 100).toFixed(2)}% of pixels differ
+          </div>
+          ${stagingImage && productionImage ? `
+            <div class="comparison-screenshots">
+              <img src="${stagingImage}" alt="Staging screenshot">
+              <img src="${productionImage}" alt="Production screenshot">
+            </div>
+          ` : ''}
+        `;
+      }
+      
+      const unverified = page.unverified || [];
+      const status = page.identical ? 'identical' : page.differences.length > 0 ? 'different' : 'unverified';
+      const icons = { identical: '✓', different: '✗', unverified: '?' };
+      const notes = [];
+      if (page.differences.length > 0) {
+        notes.push(`Differs in: ${page.differences.map(d => this.escapeHtml(d)).join(', ')}`);
+      }
+      if (unverified.length > 0) {
+        notes.push(`Not verified: ${unverified.map(u => this.escapeHtml(u)).join(', ')}`);
+      }
+      
+      return `
+        <div class="comparison-page ${status}">
+          <h3>${icons[status]} ${this.escapeHtml(page.path)}</h3>
+          <div class="comparison-differences">
+            ${notes.length ? notes.join('. ') : 'No differences found'}
+          </div>
+          ${rows.length ? `
+            <table class="comparison-table">
+              <thead><tr><th></th><th>Staging</th><th>Production</th></tr></thead>
+              <tbody>${rows.join('')}</tbody>
+            </table>
+          ` : ''}
+          ${screenshotHTML}
+        </div>
+      `;
+    }).join('');
+    
+    this.elements.comparisonContent.innerHTML = `
+      <div class="overview-stats">
+        <div>Staging: ${this.escapeHtml(comparison.staging)}</div>
+        <div>Production: ${this.escapeHtml(comparison.production)}</div>
+        <div>Pages Compared: ${summary.pages} (${summary.identical} identical, ${summary.different} different, ${summary.notVerified || 0} not verified)</div>
+      </div>
+      ${pagesHTML || '<p>No matching pages were tested on both environments.</p>'}
+    `;
+    
+    this.elements.comparisonContent.querySelectorAll('.comparison-screenshots img').forEach(img => {
+      img.addEventListener('click', () => {
+        this.elements.modalImage.src = img.src;
+        this.elements.modalCaption.textContent = img.alt;
+        this.elements.modal.classList.add('show');
+      });
+    });
+  }
+
+  renderComparisonRow(label, staging, production) {
+    const cell = value => this.escapeHtml(value === null || value === '' ? '(none)' : value);
+    return `
+      <tr>
+        <th>${label}</th>
+        <td>${cell(staging)}</td>
+        <td>${cell(production)}</td>
+      </tr>
+    `;
+  }
+
+  formatFieldName(key) {
+    return key.replace(/([A-Z])/g, ' $1').replace(/^\w/, l => l.toUpperCase());
+  }
+
+  escapeHtml(text) {
+    // Page content from the tested sites is shown as-is, never as markup
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
   renderRawData() {
     this.elements.rawDataContent.textContent = JSON.stringify(this.testResults, null, 2);
   }
@@ -612,7 +916,7 @@ class ResultsPage {
     Object.entries(issuesByUrl).forEach(([url, issues]) => {
       markdown += `### ${url}\n\n`;
       issues.forEach(issue => {
-        markdown += `- **${this.formatIssueType(issue.type)}** (${issue.severity || 'medium'}): ${issue.message || 'No details'}\n`;
+        markdown += `- **${this.formatIssueType(issue.type)}** (${issue.severity || 'medium'}): ${issue.message || issue.details?.message || 'No details'}\n`;
       });
       markdown += '\n';
     });